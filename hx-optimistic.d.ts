@@ -10,7 +10,151 @@ declare global {
     interface HtmxExtensions {
       optimistic: OptimisticExtension;
     }
+    const optimistic: OptimisticApi;
   }
+  /** Merges with the DOM declaration where the TypeScript lib provides one */
+  interface TrustedHTML {}
+}
+
+/**
+ * Rule classifying a response as failure (failOn) or success (successOn)
+ * An array is shorthand for a status list
+ */
+export type OptimisticResponseRule =
+  | number[]
+  | {
+      /** HTTP statuses that match */
+      status?: number | number[];
+      /** Header name, or "Name: value" (value compared case-insensitively) */
+      header?: string | string[];
+      /** Names of predicates registered with htmx.optimistic.registerPredicate */
+      predicate?: string | string[];
+    };
+
+/**
+ * Retry settings for failed requests
+ */
+export interface OptimisticRetryConfig {
+  /** Retries before the optimistic state is reverted @default 3 */
+  attempts?: number;
+  /** Delay growth between attempts @default 'exponential' */
+  backoff?: 'fixed' | 'linear' | 'exponential';
+  /** Base delay in ms @default 500 */
+  delay?: number;
+  /** Upper bound for a single delay in ms @default 10000 */
+  maxDelay?: number;
+  /** Error statuses that are retried; network errors and timeouts always are @default [502, 503, 504] */
+  statuses?: number[];
+}
+
+/**
+ * Predicate registered from JS to classify responses
+ */
+export type OptimisticResponsePredicate = (
+  xhr: XMLHttpRequest,
+  context: { elt: Element; target: Element; config: OptimisticConfig }
+) => boolean;
+
+/**
+ * Undo window settings
+ */
+export interface OptimisticUndoConfig {
+  /** How long the request is held before it is sent, in ms @default 5000 */
+  delay?: number;
+  /** Undo template (inline HTML or "#id"); data-optimistic-undo elements cancel the request */
+  template?: string;
+}
+
+/**
+ * Request persisted by the offline queue
+ */
+export interface OptimisticQueueEntry {
+  id: string;
+  /** location.pathname + location.search of the page that queued the request */
+  page: string;
+  verb: string;
+  path: string;
+  parameters: Record<string, string | string[]>;
+  /** Selector for the element that issued the request */
+  source: string | null;
+  /** Selector for the optimistic target */
+  target: string | null;
+}
+
+/**
+ * Storage adapter for the offline queue (localStorage by default)
+ */
+export interface OptimisticQueueStorage {
+  load(): OptimisticQueueEntry[] | Promise<OptimisticQueueEntry[]>;
+  save(entries: OptimisticQueueEntry[]): void | Promise<void>;
+}
+
+/**
+ * Receives interpolated HTML and the element it will be inserted into; returns the HTML to insert
+ */
+export type OptimisticSanitizer = (html: string, elt: Element) => string | TrustedHTML;
+
+/**
+ * Trusted Types policy used for every HTML string the extension writes
+ */
+export interface OptimisticTrustedTypesPolicy {
+  createHTML(html: string): TrustedHTML | string;
+}
+
+/**
+ * Public API exposed as htmx.optimistic
+ */
+export interface OptimisticApi {
+  /** Register a named predicate usable from failOn/successOn */
+  registerPredicate(name: string, predicate: OptimisticResponsePredicate): void;
+  /** Register an interpolation filter usable as `${value | name:arg}` */
+  registerFilter(name: string, filter: (value: any, ...args: any[]) => any): void;
+  /** Clean every HTML string before it is inserted, including error response bodies; null removes the sanitizer */
+  setSanitizer(sanitizer: OptimisticSanitizer | null): void;
+  /** Use this policy instead of the default "hx-optimistic" one; null restores the default */
+  setTrustedTypesPolicy(policy: OptimisticTrustedTypesPolicy | null): void;
+  /** Replace the storage used by the offline queue */
+  setQueueStorage(storage: OptimisticQueueStorage): void;
+  /** Send queued requests in order; stops when the connection drops again */
+  replayQueue(): Promise<boolean>;
+  /** Roll back the pending update for a target or source element now; false if none is pending */
+  revert(elt: Element): boolean;
+  /** Keep the optimistic DOM as the final state, ignoring a later error from its request; false if none is pending */
+  commit(elt: Element): boolean;
+  /** Whether a target or source element has an optimistic update on screen */
+  isPending(elt: Element): boolean;
+  /** Targets with a pending optimistic update */
+  pending(): Element[];
+}
+
+/**
+ * Swap styles understood by the optimistic template, matching htmx hx-swap names
+ */
+export type OptimisticSwapStyle =
+  | 'innerHTML'
+  | 'outerHTML'
+  | 'beforebegin'
+  | 'afterbegin'
+  | 'beforeend'
+  | 'afterend'
+  | 'delete'
+  | 'none'
+  | 'replace';
+
+/**
+ * A single optimistic change inside a multi-target config
+ */
+export interface OptimisticUpdateSpec {
+  /** Selector chain resolving the element this spec changes */
+  target?: string;
+  /** Property updates for this spec's target */
+  values?: Record<string, string>;
+  /** Template rendered into this spec's target */
+  template?: string;
+  /** How this spec's template is swapped */
+  swap?: OptimisticConfig['swap'];
+  /** Interpolation context; inherits the top-level context when omitted */
+  context?: Record<string, unknown>;
 }
 
 /**
@@ -36,16 +180,24 @@ export interface OptimisticConfig {
   /**
    * Optional selector chain (e.g. "closest .card", "find .target") to resolve the optimistic target
    * If omitted, uses the source element or hx-target when provided on the element
+   * The resolved element is snapshotted and reverted together with the request target
    */
   target?: string;
 
   /**
-   * How to swap template content
-   * - replace: sets innerHTML
-   * - beforeend: insertAdjacentHTML('beforeend')
-   * - afterbegin: insertAdjacentHTML('afterbegin')
+   * How to swap template content, using htmx hx-swap names
+   * When omitted, the resolved hx-swap of the source element (or its ancestors) is used
+   * for templates rendered into the request target
+   * - innerHTML (default, "replace" is an alias): replaces the target's content
+   * - outerHTML: shows the template in place of the target; the original is hidden, not removed
+   * - beforebegin / afterbegin / beforeend / afterend: inserts relative to the target
+   * - delete: hides the target
+   * - none: leaves content untouched, only state classes are applied
+   * Inserted nodes are removed individually on revert, hidden targets are shown again
+   * Modifiers `show:top|bottom` and `scroll:top|bottom` (optionally `show:<selector>:top`) are honoured
+   * @example "beforeend scroll:bottom"
    */
-  swap?: 'replace' | 'beforeend' | 'afterbegin';
+  swap?: OptimisticSwapStyle | string;
 
   /**
    * Custom CSS class to apply during optimistic update
@@ -56,6 +208,7 @@ export interface OptimisticConfig {
   /**
    * Simple text message to show on error
    * Replaces element content unless errorMode is "append"
+   * An HX-Optimistic-Error response header overrides it
    */
   errorMessage?: string;
 
@@ -63,24 +216,96 @@ export interface OptimisticConfig {
    * HTML template for rich error display
    * If starts with "#": template element ID
    * Otherwise: inline HTML string
-   * Supports error variables: ${status}, ${statusText}, ${error}
+   * Supports error variables: ${status}, ${statusText}, ${error}, ${responseText}
+   * and fields of a JSON error body such as ${json.message}
+   * Elements marked data-optimistic-retry or data-optimistic-dismiss re-issue the request or revert on click
    * @example "<div>Error ${status}: ${statusText}</div>"
    */
   errorTemplate?: string;
 
   /**
    * How to display error content
+   * - replace: replaces the target (or errorSlot) content
+   * - append: appends a .hx-optimistic-error-message element
+   * - response: swaps the error response body in, falling back to errorTemplate/errorMessage when empty
    * @default "replace"
    */
-  errorMode?: 'replace' | 'append';
+  errorMode?: 'replace' | 'append' | 'response';
+
+  /**
+   * Selector for an element inside the target that receives the error content
+   * Falls back to the target itself when it does not match
+   * @example ".errors"
+   */
+  errorSlot?: string;
 
   /**
    * Milliseconds before reverting to original state
    * Set to 0 to disable automatic revert
+   * An HX-Optimistic-Revert response header ("immediate" or milliseconds) overrides it
    * @default 2000
    */
   delay?: number;
 
+  /**
+   * Several optimistic changes applied, snapshotted and reverted as one transaction
+   * A top-level JSON array in data-optimistic is shorthand for this option
+   */
+  updates?: OptimisticUpdateSpec[];
+
+  /**
+   * Keep the optimistic DOM as the final state on a 2xx response instead of swapping the body
+   * Fires optimistic:committed once the snapshot is dropped
+   * @default false
+   */
+  commit?: boolean;
+
+  /**
+   * Responses treated as failures even when htmx considers them successful
+   * The response is not swapped; the error is shown and the optimistic state reverted
+   * An `HX-Optimistic: rollback` response header always counts as failure
+   * @example { "status": [409], "predicate": "okFalse" }
+   */
+  failOn?: OptimisticResponseRule;
+
+  /**
+   * Responses treated as successes even when htmx considers them errors
+   * The response is swapped and optimistic state cleared as on any success
+   * @example { "status": [404] }
+   */
+  successOn?: OptimisticResponseRule;
+
+  /**
+   * Re-issue failed requests with backoff before reverting
+   * `true` uses the defaults; a number sets the attempt count
+   */
+  retry?: boolean | number | OptimisticRetryConfig;
+
+  /**
+   * Queue the request instead of reverting while offline or on a send error,
+   * and replay it when connectivity returns
+   * @default false
+   */
+  offline?: boolean;
+
+  /**
+   * Hold the request after applying the optimistic update so it can be undone
+   * A number sets the delay in ms
+   */
+  undo?: number | OptimisticUndoConfig;
+
+  /**
+   * Template re-rendered on each htmx:xhr:progress event with ${progress}, ${loaded} and ${total}
+   * Inline HTML or a template selector ("#id")
+   */
+  progress?: string;
+
+  /**
+   * How requests that overlap on the same target are resolved
+   * With any mode, responses from superseded requests are not swapped
+   */
+  concurrency?: 'last-wins' | 'abort-previous' | 'drop-new' | 'queue';
+
   /** Optional keys to snapshot for granular restore (defaults to innerHTML & className) */
   snapshot?: string[];
 
@@ -90,7 +315,7 @@ export interface OptimisticConfig {
 
 /**
  * Supported interpolation patterns in templates and values
- * All patterns use ${...} syntax
+ * All patterns use ${...} syntax; ${{raw ...}} inserts the value without HTML escaping
  */
 export type InterpolationPattern =
   | '${this.value}'           // Element's value property
@@ -98,11 +323,29 @@ export type InterpolationPattern =
   | '${this.dataset.key}'     // Data attribute (full syntax)
   | '${data:key}'             // Data attribute (shorthand)
   | '${attr:name}'            // Any attribute
-  | '${Math.max(0, count)}'   // Math with count variable
-  | '${Math.min(a, b)}'       // Math functions
+  | '${fieldName}'            // Submitted parameter by name
+  | '${param:name}'           // Request parameter, including hx-vals and hx-include
+  | '${path}'                 // Request path
+  | '${verb}'                 // Request method, lowercase
+  | '${file:name.url}'        // Object URL of a selected file
+  | '${file:name.name}'       // Selected file's name
+  | '${file:name.size}'       // Selected file's size in bytes
+  | '${file:name.type}'       // Selected file's MIME type
+  | '${item}'                 // Current item inside {{#each}}
+  | '${index}'                // Current position inside {{#each}}
+  | '${data:name | upper}'    // Filters, applied left to right
+  | '${{raw data:html}}'      // Unescaped value
+  | '${data:count + 1}'       // Arithmetic over any pattern
+  | '${data:count > 0 ? "a" : "b"}' // Comparisons and ternaries
+  | '${Math.max(0, data:count - 1)}' // Math.min/max/abs/round
   | '${status}'               // Error status (error templates only)
   | '${statusText}'           // Error text (error templates only)
-  | '${error}';               // Error message (error templates only)
+  | '${error}'                // Error message (error templates only)
+  | '${responseText}'         // Error response body (error templates only)
+  | '${json.key}'             // Field of a JSON error body (error templates only)
+  | '${progress}'             // Upload percentage (progress templates only)
+  | '${loaded}'               // Bytes sent so far (progress templates only)
+  | '${total}';               // Bytes to send (progress templates only)
 
 /**
  * Internal snapshot data structure
@@ -110,12 +353,18 @@ export type InterpolationPattern =
  */
 interface SnapshotData {
   innerHTML: string;
+  /** Copies of the target's child nodes, cloned again on restore */
+  nodes: Node[];
   className: string;
   textContent?: string;
   fullContent?: string;
   sourceElement: Element;
   config: OptimisticConfig;
   token: number;
+  /** Older pending layer on the same target */
+  below?: SnapshotData | null;
+  /** Request succeeded; kept until the layers beneath it settle */
+  confirmed?: boolean;
 }
 
 /**
@@ -125,12 +374,44 @@ interface SnapshotData {
 interface OptimisticExtension {
   onEvent(name: string, evt: Event): void;
   handleBeforeRequest(evt: Event): void;
+  begin(sourceElt: Element, config: OptimisticConfig): Element | null;
+  handleConfirm(evt: Event): void;
+  track(evt: Event, sourceElt: Element, targetElt: Element, token?: number): void;
+  settle(evt: Event): void;
+  showUndo(targetElt: Element, sourceElt: Element, config: OptimisticConfig): Element | null;
+  showProgress(targetElt: Element, sourceElt: Element, config: OptimisticConfig, progress: { progress: number; loaded: number; total: number }): void;
+  handleProgress(evt: Event): void;
+  send(targetElt: Element): void;
+  undo(targetElt: Element): boolean;
+  handleBeforeSwap(evt: Event): void;
+  handleAfterRequest(evt: Event): void;
+  commit(targetElt: Element): void;
+  registerPredicate(name: string, predicate: OptimisticResponsePredicate): void;
+  swapPending(snapshot: SnapshotData, sourceElt: Element, xhr?: XMLHttpRequest): boolean;
   handleError(evt: Event): void;
+  scheduleRetry(evt: Event, sourceElt: Element, targetElt: Element, snapshot: SnapshotData): boolean;
+  enqueue(sourceElt: Element, targetElt: Element, snapshot?: SnapshotData): boolean;
+  replayQueue(): Promise<boolean>;
+  replayEntry(entry: OptimisticQueueEntry): boolean | Promise<boolean>;
+  setQueueStorage(storage: OptimisticQueueStorage): void;
   showError(targetElt: Element, config: OptimisticConfig, evt: Event): void;
+  errorContainer(targetElt: Element, config: OptimisticConfig): Element;
+  bindErrorActions(targetElt: Element, sourceElt: Element, token: number): void;
   snapshot(targetElt: Element, sourceElt: Element, config: OptimisticConfig, token: number): void;
-  applyOptimistic(targetElt: Element, sourceElt: Element, config: OptimisticConfig): void;
+  capture(targetElt: Element, config: OptimisticConfig): Partial<SnapshotData>;
+  applyOptimistic(targetElt: Element, sourceElt: Element, config: OptimisticConfig, onlyElt?: Element): void;
+  swapContent(targetElt: Element, content: string, style: OptimisticSwapStyle): void;
+  undoPlacement(targetElt: Element, snapshot?: SnapshotData): void;
   revert(targetElt: Element, expectedToken?: number): void;
+  restore(targetElt: Element, snapshot: SnapshotData): void;
+  restoreDom(targetElt: Element, snapshot: SnapshotData): void;
+  dropLayers(targetElt: Element, failed: SnapshotData): void;
+  discard(targetElt: Element, layer: SnapshotData): void;
+  relatedTargets(targetElt: Element): Element[];
   cleanup(target: Element): void;
+  forget(elt: Element): void;
+  resolvePending(elt: Element): Element | null;
+  pending(): Element[];
   getTemplate(templateId: string): string | null;
   applyValues(targetElt: Element, values: Record<string, string>, sourceElt: Element): void;
 }
@@ -0,0 +1,30 @@
+import { registerFilter } from './filters.js';
+import { setSanitizer, setTrustedTypesPolicy } from './render.js';
+
+export function createApi(extension) {
+  return {
+    registerPredicate: (name, predicate) => extension.registerPredicate(name, predicate),
+    registerFilter: (name, filter) => registerFilter(name, filter),
+    setSanitizer: (sanitizer) => setSanitizer(sanitizer),
+    setTrustedTypesPolicy: (policy) => setTrustedTypesPolicy(policy),
+    setQueueStorage: (storage) => extension.setQueueStorage(storage),
+    replayQueue: () => extension.replayQueue(),
+    revert: (elt) => {
+      const targetElt = extension.resolvePending(elt);
+      if (!targetElt) return false;
+      // A held undo request must not be sent once its update is rolled back
+      if (!extension.undo(targetElt)) extension.revert(targetElt);
+      return true;
+    },
+    commit: (elt) => {
+      const targetElt = extension.resolvePending(elt);
+      if (!targetElt) return false;
+      // Commit releases a request held by an undo window rather than dropping it
+      extension.send(targetElt);
+      extension.commit(targetElt);
+      return true;
+    },
+    isPending: (elt) => Boolean(extension.resolvePending(elt)),
+    pending: () => extension.pending(),
+  };
+}
@@ -0,0 +1,54 @@
+// Parses `{{#each}}` and `{{#if}}` blocks in templates into a tree of text and block nodes.
+// Rendering lives in utils.js, next to the value resolvers it needs.
+
+const BLOCK_TAG = /\{\{\s*(#each|#if|else|\/each|\/if|[#/][\w-]*)\s*([^}]*?)\s*\}\}/g;
+const EACH_ALIAS = /^(.+?)\s+as\s+([A-Za-z_$][\w$]*)$/;
+
+export function hasBlocks(str) {
+  return /\{\{\s*(?:[#/]|else\s*\}\})/.test(str);
+}
+
+/**
+ * Returns an array of strings and `{ type: 'each' | 'if', expr, alias, children, alternate }`
+ * nodes. Throws with a description of the first malformed block.
+ */
+export function parseBlocks(str) {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let last = 0;
+  for (const match of str.matchAll(BLOCK_TAG)) {
+    const [tag, keyword, arg] = match;
+    if (match.index > last) current.push(str.slice(last, match.index));
+    last = match.index + tag.length;
+    const block = stack[stack.length - 1];
+    if (keyword === '#each' || keyword === '#if') {
+      if (!arg) throw new Error(`${tag} needs an expression`);
+      const node = { type: keyword.slice(1), expr: arg, alias: null, children: [], alternate: null, tag };
+      const alias = node.type === 'each' && arg.match(EACH_ALIAS);
+      if (alias) {
+        node.expr = alias[1];
+        node.alias = alias[2];
+      }
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (keyword === 'else') {
+      if (block === root) throw new Error('{{else}} outside of an {{#if}} or {{#each}} block');
+      if (block.alternate) throw new Error(`Second {{else}} in ${block.tag}`);
+      block.alternate = [];
+      current = block.alternate;
+    } else if (keyword === '/each' || keyword === '/if') {
+      if (block === root) throw new Error(`${tag} has no opening block`);
+      if (block.type !== keyword.slice(1)) throw new Error(`${tag} cannot close ${block.tag}`);
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.alternate || parent.children;
+    } else {
+      throw new Error(`Unknown block ${tag}; supported blocks are {{#each}} and {{#if}}`);
+    }
+  }
+  if (stack.length > 1) throw new Error(`${stack[stack.length - 1].tag} is never closed`);
+  if (last < str.length) current.push(str.slice(last));
+  return root.children;
+}
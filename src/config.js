@@ -13,7 +13,9 @@ export function getOptimisticConfig(sourceElt, cacheMap) {
       config = {};
     } else {
       config = JSON.parse(raw);
-      if (typeof config !== 'object' || config === null) {
+      if (Array.isArray(config)) {
+        config = { updates: config };
+      } else if (typeof config !== 'object' || config === null) {
         config = { values: { textContent: raw } };
       }
     }
@@ -23,7 +25,12 @@ export function getOptimisticConfig(sourceElt, cacheMap) {
   config.delay = config.delay ?? 2000;
   config.errorMode = config.errorMode || 'replace';
   config.errorMessage = config.errorMessage || 'Request failed';
-  if (!config.values && !config.template && sourceElt.tagName === 'BUTTON') {
+  if (Array.isArray(config.updates)) {
+    config.updates = normalizeUpdates(config.updates, config);
+  }
+  config.retry = normalizeRetry(config.retry);
+  config.undo = normalizeUndo(config.undo);
+  if (!config.values && !config.template && !config.updates && sourceElt.tagName === 'BUTTON') {
     config.values = {
       className: (sourceElt.className + ' hx-optimistic-pending').trim(),
     };
@@ -32,3 +39,39 @@ export function getOptimisticConfig(sourceElt, cacheMap) {
   return config;
 }
 
+
+function normalizeUpdates(updates, config) {
+  return updates
+    .filter((spec) => spec && typeof spec === 'object' && !Array.isArray(spec))
+    .map((spec) => {
+      const { updates: _nested, ...rest } = spec;
+      return { context: config.context, ...rest };
+    });
+}
+
+function normalizeRetry(retry) {
+  if (!retry) return null;
+  if (typeof retry === 'number') retry = { attempts: retry };
+  if (typeof retry !== 'object') retry = {};
+  return {
+    attempts: Math.max(0, Number(retry.attempts ?? 3)),
+    backoff: retry.backoff || 'exponential',
+    delay: Number(retry.delay ?? 500),
+    maxDelay: Number(retry.maxDelay ?? 10000),
+    statuses: Array.isArray(retry.statuses) ? retry.statuses.map(Number) : [502, 503, 504],
+  };
+}
+
+function normalizeUndo(undo) {
+  if (!undo) return null;
+  if (typeof undo === 'number') undo = { delay: undo };
+  if (typeof undo !== 'object') undo = {};
+  return {
+    delay: Math.max(0, Number(undo.delay ?? 5000)),
+    template: typeof undo.template === 'string' ? undo.template : null,
+  };
+}
+
+export function getUpdateSpecs(config) {
+  return Array.isArray(config?.updates) ? config.updates : [config];
+}
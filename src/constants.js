@@ -1,6 +1,18 @@
 export const CLASS_OPTIMISTIC = 'hx-optimistic';
 export const CLASS_ERROR = 'hx-optimistic-error';
 export const CLASS_REVERTING = 'hx-optimistic-reverting';
+export const CLASS_RETRYING = 'hx-optimistic-retrying';
+export const CLASS_QUEUED = 'hx-optimistic-queued';
 export const ERROR_MESSAGE_CLASS = 'hx-optimistic-error-message';
+export const UNDO_CLASS = 'hx-optimistic-undo';
+export const PROGRESS_CLASS = 'hx-optimistic-progress';
 export const DATASET_OPTIMISTIC_KEY = 'optimistic';
 
+// values keys that would parse a string as markup outside the sanitizer and Trusted Types policy
+export const HTML_PROPERTIES = ['outerHTML', 'srcdoc'];
+export const SWAP_STYLES = ['innerHTML', 'outerHTML', 'beforebegin', 'afterbegin', 'beforeend', 'afterend', 'delete', 'none'];
+export const HEADER_OPTIMISTIC = 'HX-Optimistic';
+export const HEADER_OPTIMISTIC_ERROR = 'HX-Optimistic-Error';
+export const HEADER_OPTIMISTIC_REVERT = 'HX-Optimistic-Revert';
+export const HEADER_OPTIMISTIC_KEEP = 'HX-Optimistic-Keep';
+export const QUEUE_STORAGE_KEY = 'hx-optimistic-queue';
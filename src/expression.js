@@ -0,0 +1,228 @@
+// A small expression language for interpolation. It is interpreted from a parsed tree;
+// names are only ever looked up through the caller's resolver, and Math.* is an allow-list.
+
+const MATH_FUNCTIONS = {
+  min: Math.min,
+  max: Math.max,
+  abs: Math.abs,
+  round: Math.round,
+};
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+
+const PREFIXED_REFERENCE = /^(?:data|attr|param|file):[\w$]+(?:-[A-Za-z][\w$]*)*(?:\.[A-Za-z_$][\w$]*)*/;
+const REFERENCE = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/;
+const NUMBER = /^(?:\d+(?:\.\d+)?|\.\d+)/;
+
+function isReference(expr) {
+  const match = expr.match(PREFIXED_REFERENCE) || expr.match(REFERENCE);
+  return Boolean(match) && match[0] === expr;
+}
+
+export function isExpression(expr) {
+  return !isReference(expr) && (/[+\-*/%<>=!?()&|'"]/.test(expr) || /^\d/.test(expr));
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let rest = source;
+  while (rest.length) {
+    const space = rest.match(/^\s+/);
+    if (space) {
+      rest = rest.slice(space[0].length);
+      continue;
+    }
+    const quote = rest[0];
+    if (quote === '"' || quote === "'") {
+      let value = '';
+      let i = 1;
+      for (; i < rest.length && rest[i] !== quote; i++) {
+        value += rest[i] === '\\' && i + 1 < rest.length ? rest[++i] : rest[i];
+      }
+      if (i >= rest.length) throw new Error('Unterminated string');
+      tokens.push({ type: 'string', value });
+      rest = rest.slice(i + 1);
+      continue;
+    }
+    const number = rest.match(NUMBER);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]) });
+      rest = rest.slice(number[0].length);
+      continue;
+    }
+    const reference = rest.match(PREFIXED_REFERENCE) || rest.match(REFERENCE);
+    if (reference) {
+      tokens.push({ type: 'name', value: reference[0] });
+      rest = rest.slice(reference[0].length);
+      continue;
+    }
+    const operator = OPERATORS.find((op) => rest.startsWith(op));
+    if (!operator) throw new Error(`Unexpected character "${rest[0]}"`);
+    tokens.push({ type: 'op', value: operator });
+    rest = rest.slice(operator.length);
+  }
+  return tokens;
+}
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = (value) => tokens[pos] && tokens[pos].type === 'op' && tokens[pos].value === value;
+  const next = () => tokens[pos++];
+  const expect = (value) => {
+    if (!peek(value)) throw new Error(`Expected "${value}"`);
+    pos++;
+  };
+
+  function binary(parseOperand, operators) {
+    return function () {
+      let node = parseOperand();
+      while (tokens[pos] && tokens[pos].type === 'op' && operators.includes(tokens[pos].value)) {
+        const op = next().value;
+        node = { type: 'binary', op, left: node, right: parseOperand() };
+      }
+      return node;
+    };
+  }
+
+  function primary() {
+    const token = next();
+    if (!token) throw new Error('Unexpected end of expression');
+    if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+    if (token.type === 'op' && token.value === '(') {
+      const node = ternary();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'name') {
+      if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+      if (token.value === 'null') return { type: 'literal', value: null };
+      if (peek('(')) {
+        const fn = token.value.startsWith('Math.') && MATH_FUNCTIONS[token.value.slice(5)];
+        if (!fn) throw new Error(`Unknown function ${token.value}`);
+        pos++;
+        const args = [];
+        while (!peek(')')) {
+          args.push(ternary());
+          if (!peek(')')) expect(',');
+        }
+        pos++;
+        return { type: 'call', fn, args };
+      }
+      return { type: 'reference', name: token.value };
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  function unary() {
+    if (peek('-') || peek('!') || peek('+')) {
+      const op = next().value;
+      return { type: 'unary', op, operand: unary() };
+    }
+    return primary();
+  }
+
+  const multiplicative = binary(unary, ['*', '/', '%']);
+  const additive = binary(multiplicative, ['+', '-']);
+  const comparison = binary(additive, ['<', '<=', '>', '>=']);
+  const equality = binary(comparison, ['==', '!=', '===', '!==']);
+  const and = binary(equality, ['&&']);
+  const or = binary(and, ['||']);
+
+  function ternary() {
+    const test = or();
+    if (!peek('?')) return test;
+    pos++;
+    const consequent = ternary();
+    expect(':');
+    return { type: 'conditional', test, consequent, alternate: ternary() };
+  }
+
+  const tree = ternary();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}"`);
+  return tree;
+}
+
+function isNumeric(value) {
+  if (typeof value === 'number') return true;
+  return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value));
+}
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return isNumeric(value) ? Number(value) : NaN;
+}
+
+function compare(left, right) {
+  if (isNumeric(left) && isNumeric(right)) return Number(left) - Number(right);
+  const a = String(left ?? '');
+  const b = String(right ?? '');
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function evaluate(node, resolve) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'reference': {
+      const value = resolve(node.name);
+      if (value === undefined) throw new Error(`Unresolved name ${node.name}`);
+      return value;
+    }
+    case 'call':
+      return node.fn(...node.args.map((arg) => toNumber(evaluate(arg, resolve))));
+    case 'unary': {
+      const value = evaluate(node.operand, resolve);
+      if (node.op === '!') return !value;
+      return node.op === '-' ? -toNumber(value) : toNumber(value);
+    }
+    case 'conditional':
+      return evaluate(node.test, resolve) ? evaluate(node.consequent, resolve) : evaluate(node.alternate, resolve);
+    case 'binary': {
+      if (node.op === '&&') return evaluate(node.left, resolve) && evaluate(node.right, resolve);
+      if (node.op === '||') return evaluate(node.left, resolve) || evaluate(node.right, resolve);
+      const left = evaluate(node.left, resolve);
+      const right = evaluate(node.right, resolve);
+      switch (node.op) {
+        case '+':
+          return isNumeric(left) && isNumeric(right) ? Number(left) + Number(right) : String(left ?? '') + String(right ?? '');
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/': return toNumber(left) / toNumber(right);
+        case '%': return toNumber(left) % toNumber(right);
+        case '<': return compare(left, right) < 0;
+        case '<=': return compare(left, right) <= 0;
+        case '>': return compare(left, right) > 0;
+        case '>=': return compare(left, right) >= 0;
+        case '==':
+        case '===': return compare(left, right) === 0;
+        default: return compare(left, right) !== 0;
+      }
+    }
+  }
+  throw new Error('Invalid expression');
+}
+
+function format(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') {
+    // Hide binary floating point noise such as 0.1 + 0.2
+    return Number.isInteger(value) ? String(value) : String(Math.round(value * 1e10) / 1e10);
+  }
+  return String(value);
+}
+
+/**
+ * Evaluate an interpolation expression. `resolve(name)` returns the value of a name
+ * (e.g. `data:count`, `this.value`, a context key) or undefined; throws on syntax
+ * errors and unresolved names.
+ */
+export function evaluateExpression(source, resolve) {
+  return format(evaluate(parse(source), resolve));
+}
+
+/** Evaluate an expression as a condition; throws like evaluateExpression. */
+export function testExpression(source, resolve) {
+  return Boolean(evaluate(parse(source), resolve));
+}
@@ -1,97 +1,738 @@
 import {
   interpolateTemplate,
   resolveTargetChain,
+  resolveOptimisticTarget,
   setOptimisticStateClass,
   hasOptimisticConfig,
   getTargetFor,
   getNextToken,
   processWithHtmxIfAvailable,
+  parseFragment,
+  parseSwapSpec,
+  getInheritedSwap,
+  getResponseHeader,
+  classifyResponse,
+  getRevertDelay,
+  parseJsonResponse,
+  getRetryDelay,
+  applySwapModifiers,
   removeOptimisticDatasetAttributes,
   addCustomOptimisticClass,
   removeCustomOptimisticClass,
 } from './utils.js';
-import { getOptimisticConfig } from './config.js';
+import { getOptimisticConfig, getUpdateSpecs } from './config.js';
+import { setHtml } from './render.js';
+import { createQueue, createLocalStorageAdapter, getElementSelector, getPageKey, serializeParameters } from './queue.js';
+import {
+  HEADER_OPTIMISTIC_ERROR,
+  HEADER_OPTIMISTIC_REVERT,
+  HEADER_OPTIMISTIC_KEEP,
+  UNDO_CLASS,
+  PROGRESS_CLASS,
+  HTML_PROPERTIES,
+} from './constants.js';
 
 export function createExtension(htmx) {
   const configCache = new WeakMap();
   const snapshots = new WeakMap();
   const tokens = new WeakMap();
+  // Tokens are never reused on a target, even after a revert rolls `tokens` back to an older layer
+  const issuedTokens = new WeakMap();
   const sourceTargets = new WeakMap();
+  const predicates = new Map();
+  const requestConfigs = new WeakMap();
+  const reissued = new WeakSet();
+  const replayed = new WeakMap();
+  const revertTimers = new WeakMap();
+  const heldRequests = new WeakMap();
+  const pendingTargets = new Set();
+  const inFlight = new WeakMap();
+  const waiting = new WeakMap();
+  const requestTokens = new WeakMap();
+  const objectUrls = new WeakMap();
+  const committedTokens = new WeakMap();
+  let queue = null;
+  let replaying = null;
+
+  function getQueue() {
+    if (!queue) queue = createQueue(createLocalStorageAdapter());
+    return queue;
+  }
+
+  // File previews get one object URL per file, owned by the request target until it settles
+  function objectUrlFor(targetElt, file) {
+    if (!targetElt || typeof URL === 'undefined' || typeof URL.createObjectURL !== 'function') return undefined;
+    if (!objectUrls.has(targetElt)) objectUrls.set(targetElt, new Map());
+    const urls = objectUrls.get(targetElt);
+    if (!urls.has(file)) urls.set(file, URL.createObjectURL(file));
+    return urls.get(file);
+  }
+
+  function revokeObjectUrls(targetElt) {
+    const urls = objectUrls.get(targetElt);
+    if (urls) urls.forEach((url) => URL.revokeObjectURL(url));
+    objectUrls.delete(targetElt);
+  }
+
+  // Templates read field values from the parameters htmx built for the source's current request
+  function interpolationOptions(sourceElt, escape) {
+    return {
+      escape,
+      requestConfig: requestConfigs.get(sourceElt),
+      fileUrl: (file) => objectUrlFor(sourceTargets.get(sourceElt), file),
+    };
+  }
+
+  function clearRevertTimer(elt) {
+    clearTimeout(revertTimers.get(elt));
+    revertTimers.delete(elt);
+  }
+
+  // With a concurrency mode, a response from a request that a newer one on the same target
+  // superseded must not touch the newer optimistic state
+  function isSuperseded(evt, targetElt) {
+    const token = requestTokens.get(evt.detail?.xhr);
+    if (token === undefined || token === tokens.get(targetElt)) return false;
+    // Once the newer request has settled there is no snapshot left to read the mode from
+    const config = snapshots.get(targetElt)?.config || getOptimisticConfig(evt.detail?.elt || evt.target, configCache);
+    // Queued requests each get their turn, so an older one is never superseded
+    return Boolean(config?.concurrency) && config.concurrency !== 'queue';
+  }
+
+  // Each target keeps a stack of optimistic layers, newest on top; `below` links to older pending layers
+  function findLayer(targetElt, token) {
+    for (let layer = snapshots.get(targetElt); layer; layer = layer.below) {
+      if (layer.token === token) return layer;
+    }
+    return null;
+  }
+
+  function layerFor(evt, targetElt) {
+    const token = requestTokens.get(evt.detail?.xhr);
+    return token === undefined ? snapshots.get(targetElt) : findLayer(targetElt, token);
+  }
+
+  function isUnsettled(layer) {
+    return !layer.confirmed && !layer.errorHandled;
+  }
+
+  // The newest layer on the target that the source's request still owns
+  function layerOfSource(targetElt, sourceElt) {
+    for (let layer = snapshots.get(targetElt); layer; layer = layer.below) {
+      if (layer.sourceElt === sourceElt && isUnsettled(layer)) return layer;
+    }
+    return null;
+  }
+
+  // Returns the layer if it or anything beneath it still awaits a response
+  function pendingChain(layer) {
+    for (let current = layer; current; current = current.below) {
+      if (isUnsettled(current)) return layer;
+    }
+    return null;
+  }
+
+  // A held request is released with issueRequest(true), which skips htmx's hx-confirm prompt; ask it before holding
+  function confirmQuestion(evt) {
+    const question = evt.detail?.question;
+    return !question || window.confirm(question);
+  }
+
+  function shouldQueue(evt, config) {
+    return Boolean(config?.offline) && (navigator.onLine === false || evt.type === 'htmx:sendError');
+  }
+
+  function recordChange(elt, insertedNodes) {
+    const snapshot = snapshots.get(elt);
+    if (!snapshot) return;
+    if (insertedNodes) snapshot.inserted.push(...insertedNodes);
+    else snapshot.contentReplaced = true;
+  }
+
+  function getErrorData(evt) {
+    const xhr = evt.detail?.xhr;
+    const responseText = xhr?.responseText || '';
+    return {
+      status: xhr?.status || 0,
+      statusText: xhr?.statusText || 'Network Error',
+      error: getResponseHeader(xhr, HEADER_OPTIMISTIC_ERROR) || evt.detail?.error || 'Request failed',
+      responseText,
+      json: parseJsonResponse(responseText),
+    };
+  }
+
+  function requestTargetFor(sourceElt) {
+    const targetSelector = sourceElt?.getAttribute('hx-target');
+    return (targetSelector ? resolveTargetChain(sourceElt, targetSelector) : null) ||
+      sourceTargets.get(sourceElt) || sourceElt;
+  }
 
   return {
     onEvent: function (name, evt) {
-      if (name === 'htmx:beforeRequest') {
+      if (name === 'htmx:confirm') {
+        this.handleConfirm(evt);
+      } else if (name === 'htmx:beforeRequest') {
         this.handleBeforeRequest(evt);
       } else if (
         ['htmx:responseError', 'htmx:swapError', 'htmx:timeout', 'htmx:sendError'].includes(name)
       ) {
         this.handleError(evt);
+      } else if (name === 'htmx:beforeSwap') {
+        this.handleBeforeSwap(evt);
+      } else if (name === 'htmx:beforeCleanupElement') {
+        this.forget(evt.target);
       } else if (name === 'htmx:afterSwap') {
         this.cleanup(evt.target);
+      } else if (name === 'htmx:xhr:progress') {
+        this.handleProgress(evt);
+      } else if (name === 'htmx:afterRequest' || name === 'htmx:afterOnLoad') {
+        this.handleAfterRequest(evt);
+        if (name === 'htmx:afterRequest') this.settle(evt);
       }
     },
 
     handleBeforeRequest: function (evt) {
       const sourceElt = evt.target;
       if (!hasOptimisticConfig(sourceElt)) return;
+      if (evt.detail?.requestConfig) requestConfigs.set(sourceElt, evt.detail.requestConfig);
+      if (reissued.has(sourceElt)) {
+        // Retries, queue replays and held undo requests keep the optimistic state already on screen
+        reissued.delete(sourceElt);
+        const pendingTarget = sourceTargets.get(sourceElt);
+        const pending = pendingTarget && layerOfSource(pendingTarget, sourceElt);
+        if (pending) {
+          const onTop = pending === snapshots.get(pendingTarget);
+          if (pending.queued) {
+            pending.queued = false;
+            if (onTop) this.relatedTargets(pendingTarget).forEach((elt) => setOptimisticStateClass(elt, 'optimistic'));
+          }
+          pending.retrying = false;
+          this.track(evt, sourceElt, pendingTarget, pending.token);
+          return;
+        }
+      }
 
       const config = getOptimisticConfig(sourceElt, configCache);
       if (!config) return;
+      const previous = inFlight.get(getTargetFor(sourceElt));
+      if (previous && config.concurrency === 'drop-new') {
+        evt.preventDefault();
+        return;
+      }
+      if (previous && config.concurrency === 'abort-previous') {
+        try { htmx.trigger && htmx.trigger(previous.sourceElt, 'htmx:abort'); } catch (_) {}
+        // htmx reports an aborted request without an error event, so its layer is settled here
+        const abortedTarget = getTargetFor(sourceElt);
+        const token = requestTokens.get(previous.xhr);
+        const aborted = token === undefined ? snapshots.get(abortedTarget) : findLayer(abortedTarget, token);
+        if (aborted && isUnsettled(aborted)) this.discard(abortedTarget, aborted);
+      }
+      const targetElt = this.begin(sourceElt, config);
+      if (!targetElt) return;
+      this.track(evt, sourceElt, targetElt);
+      if (shouldQueue(evt, config) && this.enqueue(sourceElt, targetElt)) evt.preventDefault();
+    },
 
+    begin: function (sourceElt, config) {
       const targetElt = getTargetFor(sourceElt);
       if (!targetElt) {
         console.warn('[hx-optimistic] Target element not found for:', sourceElt);
-        return;
+        return null;
       }
       sourceTargets.set(sourceElt, targetElt);
 
-      const newToken = getNextToken(targetElt, tokens);
+      const affected = [targetElt];
+      getUpdateSpecs(config).forEach((spec) => {
+        const optimisticTarget = resolveOptimisticTarget(targetElt, sourceElt, spec);
+        if (!affected.includes(optimisticTarget)) affected.push(optimisticTarget);
+      });
+      // A new request supersedes a revert still scheduled from the previous failure
+      affected.forEach(clearRevertTimer);
+      pendingTargets.add(targetElt);
+      affected.forEach((elt) => {
+        const token = getNextToken(elt, issuedTokens);
+        tokens.set(elt, token);
+        this.snapshot(elt, sourceElt, config, token);
+        snapshots.get(elt).requestTarget = targetElt;
+      });
+      snapshots.get(targetElt).related = affected.slice(1).map((elt) => ({ elt, token: tokens.get(elt) }));
 
-      this.snapshot(targetElt, sourceElt, config, newToken);
       this.applyOptimistic(targetElt, sourceElt, config);
-      setOptimisticStateClass(targetElt, 'optimistic');
-      addCustomOptimisticClass(targetElt, config);
+      if (typeof config.progress === 'string') this.showProgress(targetElt, sourceElt, config, { progress: 0, loaded: 0, total: 0 });
+      affected.forEach((elt) => {
+        setOptimisticStateClass(elt, 'optimistic');
+        addCustomOptimisticClass(elt, config);
+      });
       try { htmx.trigger && htmx.trigger(targetElt, 'optimistic:applied', { config }); } catch (_) {}
+      return targetElt;
+    },
+
+    track: function (evt, sourceElt, targetElt, token = tokens.get(targetElt)) {
+      const xhr = evt.detail?.xhr;
+      if (xhr) requestTokens.set(xhr, token);
+      inFlight.set(targetElt, { sourceElt, xhr });
+    },
+
+    settle: function (evt) {
+      const sourceElt = evt.detail?.elt || evt.target;
+      const targetElt = requestTargetFor(sourceElt);
+      const current = targetElt && inFlight.get(targetElt);
+      if (!current || current.xhr !== evt.detail?.xhr) return;
+      inFlight.delete(targetElt);
+      const next = waiting.get(targetElt)?.shift();
+      // Let htmx finish the settled request before the queued one starts
+      if (next) setTimeout(next, 0);
+    },
+
+    handleConfirm: function (evt) {
+      const sourceElt = evt.target;
+      if (!hasOptimisticConfig(sourceElt) || typeof evt.detail?.issueRequest !== 'function') return;
+      // htmx.ajax confirms retries, queue replays and error-template retries again; their update is already on screen
+      if (reissued.has(sourceElt)) return;
+      const config = getOptimisticConfig(sourceElt, configCache);
+      if (config?.concurrency === 'queue') {
+        const busyTarget = getTargetFor(sourceElt);
+        if (busyTarget && inFlight.has(busyTarget)) {
+          // Show the update now; only the network send waits for its turn
+          evt.preventDefault();
+          if (!confirmQuestion(evt)) return;
+          requestConfigs.delete(sourceElt);
+          const targetElt = this.begin(sourceElt, config);
+          const token = targetElt && tokens.get(targetElt);
+          const issueRequest = evt.detail.issueRequest;
+          if (!waiting.has(busyTarget)) waiting.set(busyTarget, []);
+          waiting.get(busyTarget).push(() => {
+            // A response swapped in meanwhile drops the layer; the request then applies its update afresh
+            if (targetElt && findLayer(targetElt, token)) reissued.add(sourceElt);
+            issueRequest(true);
+          });
+          return;
+        }
+      }
+      if (!config?.undo) return;
+
+      // Hold the request; the optimistic update is shown now and the request is sent when the window closes
+      evt.preventDefault();
+      if (!confirmQuestion(evt)) return;
+      // htmx has not built this request's parameters yet; the previous request's no longer apply
+      requestConfigs.delete(sourceElt);
+      const targetElt = this.begin(sourceElt, config);
+      if (!targetElt) {
+        evt.detail.issueRequest(true);
+        return;
+      }
+      const held = { token: tokens.get(targetElt), sourceElt, issueRequest: evt.detail.issueRequest };
+      held.element = this.showUndo(targetElt, sourceElt, config);
+      held.timer = setTimeout(() => this.send(targetElt), config.undo.delay);
+      heldRequests.set(targetElt, held);
+    },
+
+    showUndo: function (targetElt, sourceElt, config) {
+      const snapshot = snapshots.get(targetElt);
+      let undoEl = null;
+      const template = config.undo.template && this.getTemplate(config.undo.template);
+      if (template) {
+        undoEl = document.createElement('div');
+        undoEl.className = UNDO_CLASS;
+        setHtml(undoEl, interpolateTemplate(template, sourceElt, config.context || {}, interpolationOptions(sourceElt, true)));
+        // A hidden (delete/outerHTML) target cannot show its own undo control
+        if (snapshot?.hidden) targetElt.before(undoEl);
+        else targetElt.appendChild(undoEl);
+        recordChange(targetElt, [undoEl]);
+      } else if (config.undo.template?.startsWith('#')) {
+        console.warn('[hx-optimistic] Undo template selector did not resolve:', config.undo.template);
+      }
+      const roots = [targetElt, ...(snapshot?.inserted || [])].filter((node) => node.nodeType === 1);
+      roots.forEach((root) => {
+        const controls = Array.from(root.querySelectorAll('[data-optimistic-undo]'));
+        if (root.matches('[data-optimistic-undo]')) controls.push(root);
+        controls.forEach((control) =>
+          control.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.undo(targetElt);
+          })
+        );
+      });
+      return undoEl;
+    },
+
+    showProgress: function (targetElt, sourceElt, config, progress) {
+      const snapshot = snapshots.get(targetElt);
+      const template = snapshot && this.getTemplate(config.progress);
+      if (!template) {
+        if (snapshot && config.progress.startsWith('#')) {
+          console.warn('[hx-optimistic] Progress template selector did not resolve:', config.progress);
+        }
+        return;
+      }
+      let progressEl = snapshot.progressElement;
+      if (!progressEl || !progressEl.isConnected) {
+        // Render into a data-optimistic-progress slot of the optimistic content when there is one
+        const roots = [targetElt, ...(snapshot.inserted || [])].filter((node) => node.nodeType === 1);
+        progressEl = roots
+          .map((root) => (root.matches('[data-optimistic-progress]') ? root : root.querySelector('[data-optimistic-progress]')))
+          .find(Boolean);
+        if (!progressEl) {
+          progressEl = document.createElement('div');
+          progressEl.className = PROGRESS_CLASS;
+          if (snapshot.hidden) targetElt.before(progressEl);
+          else targetElt.appendChild(progressEl);
+          recordChange(targetElt, [progressEl]);
+        }
+        snapshot.progressElement = progressEl;
+      }
+      const data = Object.assign({}, config.context, progress);
+      const content = interpolateTemplate(template, sourceElt, data, interpolationOptions(sourceElt, true));
+      setHtml(progressEl, content);
+    },
+
+    handleProgress: function (evt) {
+      const sourceElt = evt.detail?.elt || evt.target;
+      const targetElt = requestTargetFor(sourceElt);
+      const snapshot = targetElt && snapshots.get(targetElt);
+      // Only the request whose update is on top owns the progress display
+      if (typeof snapshot?.config?.progress !== 'string' || snapshot.sourceElt !== sourceElt) return;
+      const loaded = Number(evt.detail?.loaded) || 0;
+      const total = Number(evt.detail?.total) || 0;
+      const progress = evt.detail?.lengthComputable !== false && total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 0;
+      this.showProgress(targetElt, sourceElt, snapshot.config, { progress, loaded, total });
+    },
+
+    send: function (targetElt) {
+      const held = heldRequests.get(targetElt);
+      if (!held) return;
+      clearTimeout(held.timer);
+      heldRequests.delete(targetElt);
+      if (tokens.get(targetElt) !== held.token) return;
+      held.element?.remove();
+      reissued.add(held.sourceElt);
+      held.issueRequest(true);
+    },
+
+    undo: function (targetElt) {
+      const held = heldRequests.get(targetElt);
+      if (!held) return false;
+      clearTimeout(held.timer);
+      heldRequests.delete(targetElt);
+      const config = snapshots.get(targetElt)?.config;
+      this.revert(targetElt, held.token);
+      try { htmx.trigger && htmx.trigger(targetElt, 'optimistic:undone', { config }); } catch (_) {}
+      return true;
+    },
+
+    handleBeforeSwap: function (evt) {
+      const targetElt = evt.detail?.target || evt.target;
+      if (targetElt && isSuperseded(evt, targetElt)) {
+        evt.detail.shouldSwap = false;
+        return;
+      }
+      const snapshot = targetElt && snapshots.get(targetElt);
+      const layer = snapshot && layerFor(evt, targetElt);
+      if (layer) layer.swapEvent = evt;
+      const xhr = evt.detail?.xhr;
+      const sourceElt = evt.detail?.elt || evt.target;
+      if (snapshot && getResponseHeader(xhr, HEADER_OPTIMISTIC_KEEP) !== null) {
+        // The server asked to keep the optimistic state; commit it once the request settles
+        snapshot.keep = true;
+        evt.detail.shouldSwap = false;
+        evt.detail.isError = false;
+        return;
+      }
+      const outcome = snapshot
+        ? classifyResponse(xhr, snapshot.config, predicates, { elt: sourceElt, target: targetElt, config: snapshot.config })
+        : null;
+      if (outcome === 'failure') {
+        evt.detail.shouldSwap = false;
+        this.handleError(evt);
+        return;
+      }
+      if (outcome === 'success') {
+        evt.detail.shouldSwap = true;
+        evt.detail.isError = false;
+      }
+      const status = xhr?.status;
+      if (snapshot?.config?.commit && (outcome === 'success' || (status >= 200 && status < 300))) {
+        // The optimistic DOM is the final state; keep the response body out of it
+        evt.detail.shouldSwap = false;
+      }
+      if (evt.detail?.shouldSwap === false) return;
+      // Let the real response land where htmx expects it, not beside the optimistic preview
+      for (let pending = targetElt && snapshots.get(targetElt); pending; pending = pending.below) {
+        this.undoPlacement(targetElt, pending);
+      }
+    },
+
+    handleAfterRequest: function (evt) {
+      if (!evt.detail?.successful) return;
+      const sourceElt = evt.detail?.elt || evt.target;
+      const targetElt = requestTargetFor(sourceElt);
+      const snapshot = targetElt && layerFor(evt, targetElt);
+      if (!snapshot || snapshot.errorHandled || snapshot.retrying || snapshot.queued) return;
+      if (isSuperseded(evt, targetElt)) return;
+      if (this.swapPending(snapshot, sourceElt, evt.detail?.xhr)) return;
+      // The request succeeded but nothing will replace the optimistic DOM, so confirm it as-is
+      snapshot.confirmed = true;
+      // Older requests on this target are still pending and must stay revertible
+      const top = snapshots.get(targetElt);
+      if (pendingChain(top)) return;
+      // A newer layer is showing its error; its revert restores this confirmed state
+      if (top !== snapshot && top.errorHandled) return;
+      if (snapshot.config?.commit || snapshot.keep) this.commit(targetElt);
+      else this.cleanup(targetElt);
+    },
+
+    commit: function (targetElt) {
+      const snapshot = snapshots.get(targetElt);
+      if (!snapshot) return;
+      const hidden = this.relatedTargets(targetElt).filter((elt) => snapshots.get(elt)?.hidden);
+      // The committed DOM keeps showing file previews, so their object URLs stay valid
+      objectUrls.delete(targetElt);
+      committedTokens.set(targetElt, snapshot.token);
+      this.cleanup(targetElt);
+      // outerHTML and delete previews only hid the original element; make the removal final
+      hidden.forEach((elt) => elt.remove());
+      try { htmx.trigger && htmx.trigger(targetElt, 'optimistic:committed', { config: snapshot.config }); } catch (_) {}
+    },
+
+    swapPending: function (snapshot, sourceElt, xhr) {
+      const swapEvent = snapshot.swapEvent;
+      if (!swapEvent || swapEvent.defaultPrevented || !swapEvent.detail?.shouldSwap) return false;
+      const reswap = getResponseHeader(xhr, 'HX-Reswap');
+      return parseSwapSpec(reswap || getInheritedSwap(sourceElt)).style !== 'none';
     },
 
     handleError: function (evt) {
       const sourceElt = evt.detail?.elt || evt.target;
-      const targetSelector = sourceElt?.getAttribute('hx-target');
-      const targetElt = (targetSelector ? resolveTargetChain(sourceElt, targetSelector) : null) ||
-        sourceTargets.get(sourceElt) || sourceElt;
+      const targetElt = requestTargetFor(sourceElt);
       if (!targetElt) return;
 
       const snapshot = snapshots.get(targetElt);
+      const xhr = evt.detail?.xhr;
+      // A swapped response drops every layer; a later error from one of them has nothing left to show
+      if (requestTokens.has(xhr) && !(snapshot && findLayer(targetElt, requestTokens.get(xhr)))) return;
+      // The update was committed while its request was in flight; there is nothing left to roll back
+      const requestToken = requestTokens.get(xhr) ?? tokens.get(targetElt);
+      if (!snapshot && requestToken !== undefined && committedTokens.get(targetElt) === requestToken) return;
       const config = snapshot?.config || getOptimisticConfig(sourceElt, configCache);
       if (!config) return;
 
       const currentToken = tokens.get(targetElt);
       if (snapshot && snapshot.token !== currentToken) return;
+      if (isSuperseded(evt, targetElt)) return;
+      const layer = snapshot && layerFor(evt, targetElt);
+      // The request's layer was already settled or unwound
+      if (snapshot && !layer) return;
+      if (layer && layer !== snapshot) {
+        // A newer layer owns the DOM; take the failed one out from underneath it
+        if (!isUnsettled(layer)) return;
+        // Retries and the offline queue keep the layer in place, as they do for the top one
+        if (shouldQueue(evt, layer.config) && this.enqueue(sourceElt, targetElt, layer)) return;
+        if (this.scheduleRetry(evt, sourceElt, targetElt, layer)) return;
+        this.discard(targetElt, layer);
+        try {
+          htmx.trigger && htmx.trigger(targetElt, 'optimistic:error', { config: layer.config, detail: getErrorData(evt) });
+          htmx.trigger && htmx.trigger(targetElt, 'optimistic:reverted', { config: layer.config });
+        } catch (_) {}
+        return;
+      }
+      // A response classified as failure in beforeSwap may still raise htmx's own error event
+      if (snapshot?.errorHandled) return;
+      if (snapshot && getResponseHeader(xhr, HEADER_OPTIMISTIC_KEEP) !== null) {
+        this.commit(targetElt);
+        return;
+      }
+      if (snapshot && shouldQueue(evt, config) && this.enqueue(sourceElt, targetElt)) return;
+      if (snapshot && this.scheduleRetry(evt, sourceElt, targetElt, snapshot)) return;
+      if (snapshot) snapshot.errorHandled = true;
 
       const active = document.activeElement;
       if (active && targetElt.contains(active)) {
-        const existing = snapshots.get(targetElt) || { config, token: currentToken };
+        const existing = snapshots.get(targetElt) || { config, token: currentToken, errorHandled: true };
         existing.focusRestore = active;
         snapshots.set(targetElt, existing);
       }
 
-      setOptimisticStateClass(targetElt, 'error');
+      if (snapshots.get(targetElt)?.hidden) this.undoPlacement(targetElt);
+      this.relatedTargets(targetElt).forEach((elt) => setOptimisticStateClass(elt, 'error'));
       this.showError(targetElt, config, evt);
+      this.bindErrorActions(targetElt, sourceElt, currentToken);
       try {
-        const errorData = {
-          status: evt.detail?.xhr?.status || 0,
-          statusText: evt.detail?.xhr?.statusText || 'Network Error',
-          error: evt.detail?.error || 'Request failed',
-        };
-        htmx.trigger && htmx.trigger(targetElt, 'optimistic:error', { config, detail: errorData });
+        htmx.trigger && htmx.trigger(targetElt, 'optimistic:error', { config, detail: getErrorData(evt) });
+      } catch (_) {}
+
+      const revertHeader = getResponseHeader(xhr, HEADER_OPTIMISTIC_REVERT);
+      const delay = getRevertDelay(revertHeader, config.delay);
+      if (delay > 0) {
+        revertTimers.set(targetElt, setTimeout(() => this.revert(targetElt, currentToken), delay));
+      } else if (revertHeader !== null) {
+        this.revert(targetElt, currentToken);
+      }
+    },
+
+    bindErrorActions: function (targetElt, sourceElt, token) {
+      const roots = [targetElt, ...(snapshots.get(targetElt)?.inserted || [])].filter((node) => node.nodeType === 1);
+      const actions = new Set();
+      roots.forEach((root) => {
+        if (root.matches('[data-optimistic-retry], [data-optimistic-dismiss]')) actions.add(root);
+        root.querySelectorAll('[data-optimistic-retry], [data-optimistic-dismiss]').forEach((action) => actions.add(action));
+      });
+      actions.forEach((action) => {
+        action.addEventListener('click', (e) => {
+          e.preventDefault();
+          if (tokens.get(targetElt) !== token) return;
+          this.revert(targetElt, token);
+          if (!action.hasAttribute('data-optimistic-retry')) return;
+          const request = requestConfigs.get(sourceElt);
+          if (!request || typeof htmx.ajax !== 'function') {
+            console.warn('[hx-optimistic] Cannot retry without the original request:', sourceElt);
+            return;
+          }
+          // The re-issued request applies the optimistic update again from the restored DOM
+          htmx.ajax(request.verb, request.path, {
+            source: sourceElt,
+            target: targetElt,
+            values: request.parameters,
+            headers: request.headers,
+          });
+        });
+      });
+    },
+
+    scheduleRetry: function (evt, sourceElt, targetElt, snapshot) {
+      const retry = snapshot.config?.retry;
+      if (!retry || typeof htmx.ajax !== 'function' || !requestConfigs.has(sourceElt)) return false;
+      const status = evt.detail?.xhr?.status || 0;
+      const networkError = status === 0 || evt.type === 'htmx:sendError' || evt.type === 'htmx:timeout';
+      if (!networkError && !retry.statuses.includes(status)) return false;
+      const attempt = (snapshot.retries || 0) + 1;
+      if (attempt > retry.attempts) return false;
+
+      snapshot.retries = attempt;
+      snapshot.retrying = true;
+      const delay = getRetryDelay(retry, attempt);
+      // A layer beneath a newer one retries without taking over the target's state class
+      if (snapshots.get(targetElt) === snapshot) {
+        this.relatedTargets(targetElt).forEach((elt) => setOptimisticStateClass(elt, 'retrying'));
+      }
+      try {
+        htmx.trigger && htmx.trigger(targetElt, 'optimistic:retry', {
+          config: snapshot.config,
+          attempt,
+          delay,
+          detail: getErrorData(evt),
+        });
       } catch (_) {}
+      setTimeout(() => {
+        if (!targetElt.isConnected || findLayer(targetElt, snapshot.token) !== snapshot) return;
+        const request = requestConfigs.get(sourceElt);
+        reissued.add(sourceElt);
+        htmx.ajax(request.verb, request.path, {
+          source: sourceElt,
+          target: targetElt,
+          values: request.parameters,
+          headers: request.headers,
+        });
+      }, delay);
+      return true;
+    },
+
+    enqueue: function (sourceElt, targetElt, snapshot = snapshots.get(targetElt)) {
+      const request = requestConfigs.get(sourceElt);
+      if (!snapshot || !request) return false;
+      const replay = replayed.get(sourceElt);
+      let entry = replay?.entry;
+      if (replay) {
+        // Still offline while replaying; the entry keeps its place in the queue
+        replay.offline = true;
+      } else {
+        // Headers are left out: htmx rebuilds them, hx-headers included, from the source on replay,
+        // and tokens such as CSRF headers do not belong in storage
+        entry = {
+          id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+          page: getPageKey(),
+          verb: request.verb,
+          path: request.path,
+          parameters: serializeParameters(request),
+          source: getElementSelector(sourceElt),
+          target: getElementSelector(targetElt),
+        };
+        getQueue().add(entry);
+      }
+      snapshot.queued = true;
+      if (snapshots.get(targetElt) === snapshot) {
+        this.relatedTargets(targetElt).forEach((elt) => setOptimisticStateClass(elt, 'queued'));
+      }
+      try { htmx.trigger && htmx.trigger(targetElt, 'optimistic:queued', { config: snapshot.config, entry }); } catch (_) {}
+      return true;
+    },
+
+    replayQueue: function () {
+      if (replaying) return replaying;
+      replaying = getQueue()
+        .entries()
+        .then((entries) =>
+          entries.reduce((chain, entry) => chain.then((stopped) => stopped || this.replayEntry(entry)), Promise.resolve(false))
+        )
+        .finally(() => {
+          replaying = null;
+        });
+      return replaying;
+    },
+
+    replayEntry: function (entry) {
+      if (navigator.onLine === false || typeof htmx.ajax !== 'function') return true;
+      // Entries from other pages, or whose element is not on this page, stay queued for the page they belong to
+      if (entry.page !== undefined && entry.page !== getPageKey()) return false;
+      const sourceElt = entry.source ? document.querySelector(entry.source) : null;
+      if (!sourceElt || !hasOptimisticConfig(sourceElt)) return false;
+      const targetElt = (entry.target ? document.querySelector(entry.target) : null) || sourceElt;
+      const replay = { entry, offline: false };
+      reissued.add(sourceElt);
+      replayed.set(sourceElt, replay);
+      const settle = () => {
+        replayed.delete(sourceElt);
+        if (replay.offline) return true;
+        getQueue().remove(entry);
+        return false;
+      };
+      try {
+        return Promise.resolve(
+          htmx.ajax(entry.verb, entry.path, { source: sourceElt, target: targetElt, values: entry.parameters })
+        ).then(settle, settle);
+      } catch (e) {
+        console.warn('[hx-optimistic] Could not replay queued request:', e);
+        return settle();
+      }
+    },
+
+    setQueueStorage: function (storage) {
+      if (typeof storage?.load !== 'function' || typeof storage?.save !== 'function') {
+        console.warn('[hx-optimistic] Queue storage must implement load() and save(entries)');
+        return;
+      }
+      queue = createQueue(storage);
+    },
 
-      if (config.delay > 0) {
-        setTimeout(() => this.revert(targetElt, currentToken), config.delay);
+    registerPredicate: function (name, predicate) {
+      if (typeof predicate !== 'function') {
+        console.warn('[hx-optimistic] registerPredicate expects a function for:', name);
+        return;
       }
+      predicates.set(name, predicate);
     },
 
     snapshot: function (targetElt, sourceElt, config, token) {
+      const snapshotData = {
+        ...this.capture(targetElt, config),
+        config: config,
+        token: token,
+        sourceElt,
+        below: pendingChain(snapshots.get(targetElt)),
+      };
+      snapshots.set(targetElt, snapshotData);
+    },
+
+    capture: function (targetElt, config) {
       const attributes = Array.from(targetElt.attributes).reduce((acc, { name, value }) => { acc[name] = value; return acc; }, {});
       const dataset = { ...targetElt.dataset };
       const pickKeys = Array.isArray(config.snapshot) && config.snapshot.length > 0 ? config.snapshot : ['innerHTML', 'className'];
@@ -103,37 +744,39 @@ export function createExtension(htmx) {
         else if (k.startsWith('data-')) granular[k] = targetElt.dataset[k.slice(5)];
         else if (k in targetElt) granular[k] = targetElt[k];
       });
-      const snapshotData = {
+      return {
         innerHTML: targetElt.innerHTML,
+        // Restores clone these nodes, so no HTML is parsed to put the original content back
+        nodes: Array.from(targetElt.childNodes, (node) => node.cloneNode(true)),
         className: targetElt.className,
         attributes,
         dataset,
         granular,
-        config: config,
-        token: token,
+        inserted: [],
+        contentReplaced: false,
+        hidden: false,
       };
-      snapshots.set(targetElt, snapshotData);
     },
 
-    applyOptimistic: function (targetElt, sourceElt, config) {
-      let optimisticTarget = targetElt;
-      if (config.target) {
-        const resolved = resolveTargetChain(sourceElt, config.target);
-        if (resolved) optimisticTarget = resolved;
+    applyOptimistic: function (targetElt, sourceElt, config, onlyElt) {
+      if (Array.isArray(config.updates)) {
+        config.updates.forEach((spec) => this.applyOptimistic(targetElt, sourceElt, spec, onlyElt));
+        return;
       }
-      if (config.template) {
+      const optimisticTarget = resolveOptimisticTarget(targetElt, sourceElt, config);
+      if (onlyElt && optimisticTarget !== onlyElt) return;
+      // hx-swap describes the request target, so only inherit it when updating that element
+      const inheritedSwap = optimisticTarget === targetElt ? getInheritedSwap(sourceElt) : null;
+      const swapSpec = parseSwapSpec(config.swap ?? inheritedSwap);
+      if (swapSpec.style === 'delete') {
+        this.swapContent(optimisticTarget, '', 'delete');
+      } else if (config.template) {
         const template = this.getTemplate(config.template);
         if (template) {
           const context = (config && typeof config.context === 'object') ? config.context : {};
-          const content = interpolateTemplate(template, sourceElt, context);
-          if (config.swap === 'beforeend') {
-            optimisticTarget.insertAdjacentHTML('beforeend', content);
-          } else if (config.swap === 'afterbegin') {
-            optimisticTarget.insertAdjacentHTML('afterbegin', content);
-          } else {
-            optimisticTarget.innerHTML = content;
-            processWithHtmxIfAvailable(optimisticTarget);
-          }
+          const content = interpolateTemplate(template, sourceElt, context, interpolationOptions(sourceElt, true));
+          this.swapContent(optimisticTarget, content, swapSpec.style);
+          applySwapModifiers(optimisticTarget, swapSpec);
         } else if (typeof config.template === 'string' && config.template.startsWith('#')) {
           console.warn('[hx-optimistic] Template selector did not resolve:', config.template);
         }
@@ -142,49 +785,158 @@ export function createExtension(htmx) {
       }
     },
 
+    swapContent: function (targetElt, content, style) {
+      if (style === 'none') return;
+      if (style === 'innerHTML') {
+        setHtml(targetElt, content);
+        recordChange(targetElt);
+        processWithHtmxIfAvailable(targetElt);
+        return;
+      }
+      if (style !== 'delete') {
+        const fragment = parseFragment(content, targetElt);
+        const nodes = Array.from(fragment.childNodes);
+        recordChange(targetElt, nodes);
+        if (style === 'beforeend') targetElt.append(fragment);
+        else if (style === 'afterbegin') targetElt.prepend(fragment);
+        else if (style === 'afterend') targetElt.after(fragment);
+        else targetElt.before(fragment);
+        if (style === 'outerHTML') {
+          nodes.filter((node) => node.nodeType === 1).forEach(processWithHtmxIfAvailable);
+        }
+      }
+      if (style === 'outerHTML' || style === 'delete') {
+        // Hide rather than detach so htmx can still swap into the original element
+        const snapshot = snapshots.get(targetElt);
+        if (snapshot) snapshot.hidden = true;
+        targetElt.style.display = 'none';
+      }
+    },
+
+    undoPlacement: function (targetElt, snapshot = snapshots.get(targetElt)) {
+      if (!snapshot) return;
+      (snapshot.inserted || []).forEach((node) => node.parentNode && node.parentNode.removeChild(node));
+      snapshot.inserted = [];
+      if (snapshot.hidden) {
+        if (snapshot.attributes.style !== undefined) targetElt.setAttribute('style', snapshot.attributes.style);
+        else targetElt.removeAttribute('style');
+        snapshot.hidden = false;
+      }
+    },
+
     showError: function (targetElt, config, evt) {
       if (targetElt.dataset.hxOptimisticErrorShown) return;
       targetElt.dataset.hxOptimisticErrorShown = 'true';
-      if (config.errorTemplate) {
+      const container = this.errorContainer(targetElt, config);
+      // Errors shown inside inserted nodes go away with them; only replacing original content needs a full restore
+      const replaced = () => {
+        if (!(snapshots.get(targetElt)?.inserted || []).some((node) => node.contains(container))) recordChange(targetElt);
+      };
+      const responseText = evt.detail?.xhr?.responseText;
+      if (config.errorMode === 'response' && responseText) {
+        setHtml(container, responseText);
+        replaced();
+        processWithHtmxIfAvailable(container);
+      } else if (config.errorTemplate) {
         const template = this.getTemplate(config.errorTemplate);
         if (template) {
           const base = (config && typeof config.context === 'object') ? config.context : {};
-          const errorData = Object.assign({}, base, {
-            status: evt.detail?.xhr?.status || 0,
-            statusText: evt.detail?.xhr?.statusText || 'Network Error',
-            error: evt.detail?.error || 'Request failed',
-          });
+          const errorData = Object.assign({}, base, getErrorData(evt));
           const source = evt.detail?.elt || evt.target;
-          const content = interpolateTemplate(template, source, errorData);
+          const content = interpolateTemplate(template, source, errorData, interpolationOptions(source, true));
           if (config.errorMode === 'append') {
             const errorEl = document.createElement('div');
             errorEl.className = 'hx-optimistic-error-message';
-            errorEl.innerHTML = content;
-            targetElt.appendChild(errorEl);
+            setHtml(errorEl, content);
+            container.appendChild(errorEl);
           } else {
-            targetElt.innerHTML = content;
+            setHtml(container, content);
+            replaced();
           }
         } else if (typeof config.errorTemplate === 'string' && config.errorTemplate.startsWith('#')) {
           console.warn('[hx-optimistic] Error template selector did not resolve:', config.errorTemplate);
         }
       } else if (config.errorMessage) {
+        const message = getResponseHeader(evt.detail?.xhr, HEADER_OPTIMISTIC_ERROR) || config.errorMessage;
         if (config.errorMode === 'append') {
           const errorEl = document.createElement('div');
           errorEl.className = 'hx-optimistic-error-message';
-          errorEl.textContent = config.errorMessage;
-          targetElt.appendChild(errorEl);
+          errorEl.textContent = message;
+          container.appendChild(errorEl);
         } else {
-          targetElt.textContent = config.errorMessage;
+          container.textContent = message;
+          replaced();
         }
       }
     },
 
+    // Insert-style swaps only added nodes, so the error goes into those rather than over the original content
+    errorContainer: function (targetElt, config) {
+      const snapshot = snapshots.get(targetElt);
+      const inserted = snapshot && !snapshot.contentReplaced ? snapshot.inserted.filter((node) => node.isConnected) : [];
+      if (!inserted.length) return (config.errorSlot && targetElt.querySelector(config.errorSlot)) || targetElt;
+      const elements = inserted.filter((node) => node.nodeType === 1);
+      const slot = config.errorSlot && elements
+        .map((node) => (node.matches(config.errorSlot) ? node : node.querySelector(config.errorSlot)))
+        .find(Boolean);
+      if (slot || elements.length) return slot || elements[0];
+      const errorEl = document.createElement('div');
+      inserted[inserted.length - 1].after(errorEl);
+      recordChange(targetElt, [errorEl]);
+      return errorEl;
+    },
+
     revert: function (targetElt, expectedToken) {
       const snapshot = snapshots.get(targetElt);
       if (!snapshot) return;
       if (expectedToken !== undefined && snapshot.token !== expectedToken) return;
+      clearRevertTimer(targetElt);
+      (snapshot.related || []).forEach(({ elt, token }) => {
+        const relatedSnapshot = findLayer(elt, token);
+        if (!relatedSnapshot) return;
+        if (relatedSnapshot === snapshots.get(elt)) this.restore(elt, relatedSnapshot);
+        else this.dropLayers(elt, relatedSnapshot);
+      });
+      this.restore(targetElt, snapshot);
+      const toFocus = snapshot.focusRestore;
+      if (toFocus && document.contains(toFocus)) {
+        try { toFocus.focus(); } catch (_) {}
+      }
+      try { htmx.trigger && htmx.trigger(targetElt, 'optimistic:reverted', { config: snapshot.config }); } catch (_) {}
+    },
+
+    restore: function (targetElt, snapshot) {
       setOptimisticStateClass(targetElt, 'reverting');
-      if (snapshot.innerHTML !== undefined) targetElt.innerHTML = snapshot.innerHTML;
+      this.restoreDom(targetElt, snapshot);
+      const below = pendingChain(snapshot.below);
+      if (below) {
+        // Older requests are still pending; their optimistic state is what the snapshot restored
+        snapshots.set(targetElt, below);
+        tokens.set(targetElt, below.token);
+        targetElt.querySelectorAll('.hx-optimistic-error-message').forEach((msg) => msg.remove());
+        setOptimisticStateClass(targetElt, 'optimistic');
+        processWithHtmxIfAvailable(targetElt);
+        return;
+      }
+      const confirmed = snapshot.below;
+      if (confirmed?.confirmed && (confirmed.config?.commit || confirmed.keep)) {
+        // What is left on screen is an older layer the server confirmed; keep it for good
+        snapshots.set(targetElt, confirmed);
+        this.commit(targetElt);
+      } else {
+        snapshots.delete(targetElt);
+        this.cleanup(targetElt);
+      }
+      tokens.delete(targetElt);
+      // Always reprocess after revert to restore htmx functionality
+      processWithHtmxIfAvailable(targetElt);
+    },
+
+    restoreDom: function (targetElt, snapshot) {
+      // Only remove what was inserted so concurrent changes to the container survive
+      const restoreContent = snapshot.contentReplaced || (!snapshot.inserted?.length && !snapshot.hidden);
+      this.undoPlacement(targetElt, snapshot);
+      if (restoreContent && snapshot.nodes) targetElt.replaceChildren(...snapshot.nodes.map((node) => node.cloneNode(true)));
       if (snapshot.className !== undefined) targetElt.className = snapshot.className;
       try {
         Array.from(targetElt.getAttributeNames()).forEach((n) => targetElt.removeAttribute(n));
@@ -194,20 +946,55 @@ export function createExtension(htmx) {
         Object.keys(targetElt.dataset || {}).forEach((k) => delete targetElt.dataset[k]);
         Object.assign(targetElt.dataset, snapshot.dataset || {});
       } catch (_) {}
-      snapshots.delete(targetElt);
-      tokens.delete(targetElt);
-      this.cleanup(targetElt);
-      // Always reprocess after revert to restore htmx functionality
-      processWithHtmxIfAvailable(targetElt);
-      const toFocus = snapshot.focusRestore;
-      if (toFocus && document.contains(toFocus)) {
-        try { toFocus.focus(); } catch (_) {}
+    },
+
+    dropLayers: function (targetElt, failed) {
+      const stack = [];
+      for (let layer = snapshots.get(targetElt); layer; layer = layer.below) stack.unshift(layer);
+      if (!stack.includes(failed)) return;
+      // Unwind to the state before the oldest layer, then replay the layers that still stand on top of it
+      stack.slice().reverse().forEach((layer) => this.restoreDom(targetElt, layer));
+      let below = null;
+      // Layers whose own request already failed are on their way out too; replaying one would resurrect it
+      stack.filter((layer) => layer !== failed && !layer.errorHandled).forEach((layer) => {
+        Object.assign(layer, this.capture(targetElt, layer.config), { below });
+        snapshots.set(targetElt, layer);
+        this.applyOptimistic(layer.requestTarget || targetElt, layer.sourceElt, layer.config, targetElt);
+        below = layer;
+      });
+      if (pendingChain(below)) {
+        tokens.set(targetElt, below.token);
+        setOptimisticStateClass(targetElt, 'optimistic');
+        addCustomOptimisticClass(targetElt, below.config);
+      } else {
+        if (below) snapshots.set(targetElt, below);
+        else snapshots.delete(targetElt);
+        this.cleanup(targetElt);
       }
-      try { htmx.trigger && htmx.trigger(targetElt, 'optimistic:reverted', { config: snapshot.config }); } catch (_) {}
+      processWithHtmxIfAvailable(targetElt);
+    },
+
+    // Takes a layer out of the stack, wherever it sits, along with its layers on related targets
+    discard: function (targetElt, layer) {
+      layer.errorHandled = true;
+      (layer.related || []).forEach(({ elt, token }) => {
+        const relatedLayer = findLayer(elt, token);
+        if (relatedLayer) this.dropLayers(elt, relatedLayer);
+      });
+      this.dropLayers(targetElt, layer);
+    },
+
+    relatedTargets: function (targetElt) {
+      const snapshot = snapshots.get(targetElt);
+      const related = (snapshot?.related || [])
+        .filter(({ elt, token }) => snapshots.get(elt)?.token === token)
+        .map(({ elt }) => elt);
+      return [targetElt, ...related];
     },
 
     cleanup: function (target) {
       if (!target) return;
+      const related = this.relatedTargets(target).slice(1);
       setOptimisticStateClass(target, 'clean');
       target.querySelectorAll('.hx-optimistic-error-message').forEach((msg) => msg.remove());
       removeOptimisticDatasetAttributes(target);
@@ -216,6 +1003,37 @@ export function createExtension(htmx) {
         removeCustomOptimisticClass(target, snap.config);
       }
       if (snap) snapshots.delete(target);
+      clearRevertTimer(target);
+      pendingTargets.delete(target);
+      revokeObjectUrls(target);
+      related.forEach((elt) => this.cleanup(elt));
+    },
+
+    forget: function (elt) {
+      const held = heldRequests.get(elt);
+      if (held) clearTimeout(held.timer);
+      heldRequests.delete(elt);
+      clearRevertTimer(elt);
+      revokeObjectUrls(elt);
+      pendingTargets.delete(elt);
+      committedTokens.delete(elt);
+      snapshots.delete(elt);
+      tokens.delete(elt);
+    },
+
+    resolvePending: function (elt) {
+      if (!elt) return null;
+      if (snapshots.has(elt)) return elt;
+      const targetElt = sourceTargets.get(elt);
+      return targetElt && snapshots.has(targetElt) ? targetElt : null;
+    },
+
+    pending: function () {
+      return Array.from(pendingTargets).filter((elt) => {
+        if (elt.isConnected && snapshots.has(elt)) return true;
+        this.forget(elt);
+        return false;
+      });
     },
 
     getTemplate: function (templateId) {
@@ -228,9 +1046,17 @@ export function createExtension(htmx) {
 
     applyValues: function (targetElt, values, sourceElt) {
       Object.entries(values).forEach(([key, value]) => {
-        const evaluated = interpolateTemplate(value, sourceElt);
+        if (key !== 'className' && !key.startsWith('data-')) recordChange(targetElt);
+        if (key === 'innerHTML') {
+          setHtml(targetElt, interpolateTemplate(value, sourceElt, {}, interpolationOptions(sourceElt, true)));
+          return;
+        }
+        if (HTML_PROPERTIES.includes(key)) {
+          console.warn(`[hx-optimistic] values.${key} is not supported; use a template instead:`, targetElt);
+          return;
+        }
+        const evaluated = interpolateTemplate(value, sourceElt, {}, interpolationOptions(sourceElt, false));
         if (key === 'textContent') targetElt.textContent = evaluated;
-        else if (key === 'innerHTML') targetElt.innerHTML = evaluated;
         else if (key === 'className') targetElt.className = evaluated;
         else if (key.startsWith('data-')) targetElt.dataset[key.slice(5)] = evaluated;
         else targetElt[key] = evaluated;
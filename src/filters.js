@@ -0,0 +1,134 @@
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return String(value).trim() === '' ? NaN : number;
+}
+
+const BUILTIN_FILTERS = {
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = String(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  trim: (value) => String(value).trim(),
+  truncate: (value, length = 50, suffix = '…') => {
+    const text = String(value);
+    const max = Number(length);
+    return text.length > max ? text.slice(0, Math.max(0, max - String(suffix).length)).trimEnd() + suffix : text;
+  },
+  pluralize: (value, singular = '', plural = singular + 's') => (toNumber(value) === 1 ? singular : plural),
+  number: (value, decimals) => {
+    const number = toNumber(value);
+    if (isNaN(number)) return value;
+    const digits = decimals === undefined ? {} : { minimumFractionDigits: Number(decimals), maximumFractionDigits: Number(decimals) };
+    return new Intl.NumberFormat(undefined, digits).format(number);
+  },
+  currency: (value, currency = 'USD') => {
+    const number = toNumber(value);
+    return isNaN(number) ? value : new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(number);
+  },
+  bytes: (value, decimals = 1) => {
+    let number = toNumber(value);
+    if (isNaN(number)) return value;
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let unit = 0;
+    while (number >= 1024 && unit < units.length - 1) {
+      number /= 1024;
+      unit++;
+    }
+    const digits = unit === 0 ? 0 : Number(decimals);
+    return `${new Intl.NumberFormat(undefined, { maximumFractionDigits: digits }).format(number)} ${units[unit]}`;
+  },
+  date: (value, style = 'medium') => {
+    const date = new Date(isNaN(toNumber(value)) ? value : toNumber(value));
+    return isNaN(date.getTime()) ? value : new Intl.DateTimeFormat(undefined, { dateStyle: style }).format(date);
+  },
+};
+
+const filters = new Map(Object.entries(BUILTIN_FILTERS));
+
+export function registerFilter(name, filter) {
+  if (typeof filter !== 'function') {
+    console.warn('[hx-optimistic] Filter must be a function:', name);
+    return;
+  }
+  filters.set(name, filter);
+}
+
+// Splits on single `|` outside quotes, leaving `||` to the expression language
+export function splitPipeline(expr) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < expr.length; i++) {
+    const char = expr[i];
+    if (quote) {
+      if (char === '\\') current += expr[i++];
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '|' && expr[i + 1] !== '|' && expr[i - 1] !== '|') {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += expr[i];
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+function parseFilter(source) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let quoted = false;
+  const push = () => {
+    const raw = quoted ? current : current.trim();
+    args.push(quoted || raw === '' || isNaN(Number(raw)) ? raw : Number(raw));
+    current = '';
+    quoted = false;
+  };
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === '\\' && i + 1 < source.length) current += source[++i];
+      else if (char === quote) quote = null;
+      else current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      quoted = true;
+    } else if (char === ':') {
+      push();
+    } else if (!quoted) {
+      current += char;
+    }
+  }
+  push();
+  const [name, ...rest] = args;
+  return { name: String(name), args: rest };
+}
+
+export function applyFilters(value, pipeline) {
+  return pipeline.reduce((current, source) => {
+    const { name, args } = parseFilter(source);
+    const filter = filters.get(name);
+    if (!filter) {
+      console.warn('[hx-optimistic] Unknown filter:', name);
+      return current;
+    }
+    // Only `default` can stand in for a missing value
+    if (current === undefined && name !== 'default') return current;
+    try {
+      return filter(current, ...args);
+    } catch (e) {
+      console.warn(`[hx-optimistic] Filter "${name}" failed:`, e);
+      return current;
+    }
+  }, value);
+}
@@ -1,10 +1,20 @@
 import { createExtension } from './extension.js';
+import { createApi } from './api.js';
 
 (function () {
   'use strict';
   function define() {
     if (typeof htmx !== 'undefined') {
-      htmx.defineExtension('optimistic', createExtension(htmx));
+      const extension = createExtension(htmx);
+      htmx.defineExtension('optimistic', extension);
+      htmx.optimistic = createApi(extension);
+      window.addEventListener('online', () => extension.replayQueue());
+      // Requests queued before a reload are sent once the page is ready
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => extension.replayQueue());
+      } else {
+        setTimeout(() => extension.replayQueue(), 0);
+      }
     }
   }
   if (typeof htmx !== 'undefined') {
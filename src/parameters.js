@@ -0,0 +1,131 @@
+// Collects what a request submits as a map of name → values, so templates can show
+// exactly what is sent: checked boxes and radios only, every selected option, repeated names.
+// Values are strings, except for selected files, which are kept as File objects.
+
+const FIELDS = 'input, select, textarea';
+
+export function isFile(value) {
+  return typeof File !== 'undefined' && value instanceof File;
+}
+
+function toValues(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof FileList !== 'undefined' && value instanceof FileList) return Array.from(value);
+  return [value];
+}
+
+function addValue(parameters, name, value) {
+  if (!name || value === undefined || value === null) return;
+  if (!parameters.has(name)) parameters.set(name, []);
+  parameters.get(name).push(isFile(value) ? value : String(value));
+}
+
+function addFormData(parameters, formData) {
+  for (const [name, value] of formData) addValue(parameters, name, value);
+}
+
+function addField(parameters, field) {
+  if (!field.name || field.disabled) return;
+  if ((field.type === 'checkbox' || field.type === 'radio') && !field.checked) return;
+  if (field.tagName === 'SELECT' && field.multiple) {
+    Array.from(field.selectedOptions).forEach((option) => addValue(parameters, field.name, option.value));
+  } else if (field.type === 'file') {
+    Array.from(field.files || []).forEach((file) => addValue(parameters, field.name, file));
+  } else {
+    addValue(parameters, field.name, field.value);
+  }
+}
+
+function addElement(parameters, elt) {
+  if (elt.tagName === 'FORM') addFormData(parameters, new FormData(elt));
+  else if (elt.matches(FIELDS)) addField(parameters, elt);
+  else elt.querySelectorAll(FIELDS).forEach((field) => addField(parameters, field));
+}
+
+function getInherited(elt, name) {
+  const owner = elt.closest(`[${name}], [data-${name}]`);
+  return owner ? { owner, value: owner.getAttribute(name) ?? owner.getAttribute(`data-${name}`) } : null;
+}
+
+function resolveIncludes(owner, selector) {
+  const [op, ...rest] = selector.trim().split(/\s+/);
+  const sel = rest.join(' ');
+  if (op === 'this') return [owner];
+  if (op === 'closest') return [owner.closest(sel)].filter(Boolean);
+  if (op === 'find') return [owner.querySelector(sel)].filter(Boolean);
+  try {
+    return Array.from(document.querySelectorAll(selector));
+  } catch (_) {
+    console.warn('[hx-optimistic] Could not resolve hx-include selector:', selector);
+    return [];
+  }
+}
+
+function addVals(parameters, sourceElt) {
+  const layers = [];
+  for (let elt = sourceElt; elt; elt = elt.parentElement) {
+    const vals = getInherited(elt, 'hx-vals');
+    if (!vals) break;
+    layers.unshift(vals.value);
+    elt = vals.owner;
+  }
+  layers.forEach((raw) => {
+    // js: values are evaluated by htmx when the request is built; they cannot be read here
+    if (!raw || /^\s*(?:js|javascript):/.test(raw)) return;
+    let vals;
+    try {
+      vals = JSON.parse(raw.trim().startsWith('{') ? raw : `{${raw}}`);
+    } catch (_) {
+      return;
+    }
+    Object.entries(vals).forEach(([name, value]) => {
+      parameters.delete(name);
+      toValues(value).forEach((item) => addValue(parameters, name, item));
+    });
+  });
+}
+
+const VERBS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * The verb, path and parameters of the source's request, from htmx's requestConfig when
+ * available and otherwise from the element's hx-* attributes.
+ */
+export function getRequest(sourceElt, requestConfig) {
+  let verb = requestConfig?.verb;
+  let path = requestConfig?.path;
+  if (!verb && sourceElt?.getAttribute) {
+    verb = VERBS.find((name) => sourceElt.hasAttribute(`hx-${name}`) || sourceElt.hasAttribute(`data-hx-${name}`));
+    if (verb) path = sourceElt.getAttribute(`hx-${verb}`) ?? sourceElt.getAttribute(`data-hx-${verb}`);
+  }
+  return { verb: verb && verb.toLowerCase(), path, parameters: getParameters(sourceElt, requestConfig) };
+}
+
+/**
+ * Returns a Map of parameter name to an array of values. Uses the parameters htmx
+ * built for the request when available; otherwise reads the form, hx-include and hx-vals.
+ */
+export function getParameters(sourceElt, requestConfig) {
+  const parameters = new Map();
+  const submitted = requestConfig?.formData || requestConfig?.parameters;
+  if (submitted) {
+    if (typeof FormData !== 'undefined' && submitted instanceof FormData) {
+      addFormData(parameters, submitted);
+    } else {
+      Object.entries(submitted).forEach(([name, value]) => {
+        toValues(value).forEach((item) => addValue(parameters, name, item));
+      });
+    }
+    return parameters;
+  }
+  if (!sourceElt?.closest) return parameters;
+  const isGet = sourceElt.hasAttribute('hx-get') || sourceElt.hasAttribute('data-hx-get');
+  // Like htmx, non-GET requests include the enclosing form
+  const form = sourceElt.tagName === 'FORM' ? sourceElt : !isGet && sourceElt.closest('form');
+  if (form) addElement(parameters, form);
+  if (sourceElt !== form && sourceElt.matches(`${FIELDS}, button`)) addField(parameters, sourceElt);
+  const include = getInherited(sourceElt, 'hx-include');
+  if (include) resolveIncludes(include.owner, include.value).forEach((elt) => addElement(parameters, elt));
+  addVals(parameters, sourceElt);
+  return parameters;
+}
@@ -0,0 +1,84 @@
+import { QUEUE_STORAGE_KEY } from './constants.js';
+
+export function createLocalStorageAdapter(key = QUEUE_STORAGE_KEY) {
+  return {
+    load: () => {
+      try {
+        return JSON.parse(localStorage.getItem(key) || '[]');
+      } catch (_) {
+        return [];
+      }
+    },
+    save: (entries) => {
+      try {
+        localStorage.setItem(key, JSON.stringify(entries));
+      } catch (e) {
+        console.warn('[hx-optimistic] Could not persist the offline queue:', e);
+      }
+    },
+  };
+}
+
+// Entries are kept in memory and written through to the adapter on every change;
+// adapters may return promises (e.g. IndexedDB) from load and save
+export function createQueue(storage) {
+  let entries = [];
+  const ready = Promise.resolve()
+    .then(() => storage.load())
+    .then((loaded) => {
+      entries = Array.isArray(loaded) ? loaded.concat(entries) : entries;
+    })
+    .catch((e) => console.warn('[hx-optimistic] Could not load the offline queue:', e));
+
+  function persist() {
+    try {
+      return Promise.resolve(storage.save(entries.slice())).catch((e) =>
+        console.warn('[hx-optimistic] Could not persist the offline queue:', e)
+      );
+    } catch (e) {
+      console.warn('[hx-optimistic] Could not persist the offline queue:', e);
+    }
+  }
+
+  return {
+    ready,
+    add: (entry) => {
+      entries.push(entry);
+      persist();
+    },
+    remove: (entry) => {
+      entries = entries.filter((queued) => queued.id !== entry.id);
+      persist();
+    },
+    entries: () => ready.then(() => entries.slice()),
+  };
+}
+
+// Selectors are positional, so an entry is only replayed on the page that queued it
+export function getPageKey() {
+  return location.pathname + location.search;
+}
+
+export function getElementSelector(elt) {
+  if (!elt || elt === document.body) return 'body';
+  if (elt.id) return `[id="${elt.id.replace(/["\\]/g, '\\$&')}"]`;
+  const parent = elt.parentElement;
+  if (!parent) return null;
+  const index = Array.prototype.indexOf.call(parent.children, elt) + 1;
+  const parentSelector = getElementSelector(parent);
+  return parentSelector && `${parentSelector} > ${elt.tagName.toLowerCase()}:nth-child(${index})`;
+}
+
+export function serializeParameters(requestConfig) {
+  const formData = requestConfig?.formData;
+  if (formData && typeof formData.forEach === 'function') {
+    const values = {};
+    formData.forEach((value, name) => {
+      if (typeof value !== 'string') return;
+      if (name in values) values[name] = [].concat(values[name], value);
+      else values[name] = value;
+    });
+    return values;
+  }
+  return { ...(requestConfig?.parameters || {}) };
+}
@@ -0,0 +1,66 @@
+// Every HTML string the extension writes goes through here, so pages that enforce
+// Trusted Types only need to allow one policy, and a sanitizer sees everything that is inserted.
+
+const DEFAULT_POLICY_NAME = 'hx-optimistic';
+
+let policy = null;
+let defaultPolicy = null;
+let defaultPolicyFailed = false;
+let sanitizer = null;
+
+export function setTrustedTypesPolicy(next) {
+  if (next !== null && typeof next?.createHTML !== 'function') {
+    console.warn('[hx-optimistic] setTrustedTypesPolicy expects a policy with createHTML, or null');
+    return;
+  }
+  policy = next;
+}
+
+export function setSanitizer(fn) {
+  if (fn !== null && typeof fn !== 'function') {
+    console.warn('[hx-optimistic] setSanitizer expects a function or null');
+    return;
+  }
+  sanitizer = fn;
+}
+
+function sanitize(html, elt) {
+  if (!sanitizer) return html;
+  try {
+    return sanitizer(html, elt);
+  } catch (e) {
+    console.warn('[hx-optimistic] Sanitizer failed; the content was not inserted:', e);
+    return '';
+  }
+}
+
+function getPolicy() {
+  if (policy) return policy;
+  // The default policy vouches for HTML by sanitizing it, so it only exists once there is a sanitizer
+  if (!sanitizer) return null;
+  const trustedTypes = typeof window !== 'undefined' ? window.trustedTypes : undefined;
+  if (!defaultPolicy && !defaultPolicyFailed && typeof trustedTypes?.createPolicy === 'function') {
+    try {
+      defaultPolicy = trustedTypes.createPolicy(DEFAULT_POLICY_NAME, {
+        createHTML: (html, elt) => String(sanitize(html, elt)),
+      });
+    } catch (e) {
+      defaultPolicyFailed = true;
+      console.warn(`[hx-optimistic] Could not create the "${DEFAULT_POLICY_NAME}" Trusted Types policy:`, e);
+    }
+  }
+  return defaultPolicy;
+}
+
+export function toTrustedHtml(html, elt) {
+  // A sanitizer may already have returned TrustedHTML
+  if (typeof html !== 'string') return html;
+  const active = getPolicy();
+  if (active && active === defaultPolicy) return active.createHTML(html, elt);
+  const clean = sanitize(html, elt);
+  return active && typeof clean === 'string' ? active.createHTML(clean) : clean;
+}
+
+export function setHtml(elt, html) {
+  elt.innerHTML = toTrustedHtml(html, elt);
+}
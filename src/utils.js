@@ -1,4 +1,20 @@
-import { CLASS_OPTIMISTIC, CLASS_ERROR, CLASS_REVERTING, DATASET_OPTIMISTIC_KEY } from './constants.js';
+import {
+  CLASS_OPTIMISTIC,
+  CLASS_ERROR,
+  CLASS_REVERTING,
+  CLASS_RETRYING,
+  CLASS_QUEUED,
+  DATASET_OPTIMISTIC_KEY,
+  SWAP_STYLES,
+  HEADER_OPTIMISTIC,
+  HEADER_OPTIMISTIC_ERROR,
+  HEADER_OPTIMISTIC_REVERT,
+} from './constants.js';
+import { evaluateExpression, isExpression, testExpression } from './expression.js';
+import { splitPipeline, applyFilters } from './filters.js';
+import { hasBlocks, parseBlocks } from './blocks.js';
+import { getRequest, isFile } from './parameters.js';
+import { toTrustedHtml } from './render.js';
 
 export function findClosestInAncestorSubtrees(startElt, selector) {
   let node = startElt;
@@ -10,50 +26,208 @@ export function findClosestInAncestorSubtrees(startElt, selector) {
   return null;
 }
 
-export function interpolateTemplate(str, sourceElt, data = {}) {
-  if (typeof str !== 'string') return str;
-  return str.replace(/\${([^}]+)}/g, (match, expr) => {
-    expr = expr.trim();
-    if (data[expr] !== undefined) {
-      return data[expr];
-    }
-    if (!sourceElt) return match;
-    if (expr === 'this.value') {
-      if (sourceElt.value !== undefined) return sourceElt.value;
-      if (sourceElt.tagName === 'FORM') {
-        const input = sourceElt.querySelector('input, textarea, select');
-        if (input?.value) return input.value;
-      }
+// Only own properties resolve, so names such as `constructor` never reach Object.prototype
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function lookupNested(data, expr) {
+  const [head, ...rest] = expr.split('.');
+  if (rest.length === 0 || !hasOwn(data, head)) return undefined;
+  let value = data[head];
+  for (const key of rest) {
+    if (value === null || typeof value !== 'object' || !hasOwn(value, key)) {
+      return undefined;
     }
+    value = value[key];
+  }
+  return value;
+}
+
+function lookupPath(data, expr) {
+  const value = lookupNested(data, expr);
+  return value === null || typeof value === 'object' ? undefined : value;
+}
+
+const FIELD_TYPES = {
+  textarea: 'textarea',
+  email: 'input[type="email"]',
+  password: 'input[type="password"]',
+  text: 'input[type="text"], input:not([type])',
+  url: 'input[type="url"]',
+  tel: 'input[type="tel"]',
+  search: 'input[type="search"]',
+};
+
+function getSubmitted(parameters, name) {
+  const values = parameters.get(name) || parameters.get(`${name}[]`);
+  return values && values.map((value) => (isFile(value) ? value.name : value));
+}
+
+const NO_REQUEST = { verb: undefined, path: undefined, parameters: new Map(), fileUrl: null };
+
+function getFiles(request, name) {
+  const values = request.parameters.get(name) || request.parameters.get(`${name}[]`) || [];
+  // An empty file input still submits a nameless, empty file
+  return values.filter((value) => isFile(value) && (value.name || value.size));
+}
+
+function fileInfo(file, request) {
+  return {
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    // Only create an object URL when a template asks for one
+    get url() {
+      return request.fileUrl ? request.fileUrl(file) : undefined;
+    },
+  };
+}
+
+function resolveFile(expr, request) {
+  const [name, property = 'name'] = expr.split('.');
+  const file = getFiles(request, name)[0];
+  if (!file || !['name', 'size', 'type', 'url'].includes(property)) return undefined;
+  return fileInfo(file, request)[property];
+}
+
+function resolveReference(expr, sourceElt, data, request = NO_REQUEST) {
+  if (hasOwn(data, expr) && data[expr] !== undefined) {
+    return data[expr];
+  }
+  const nested = lookupPath(data, expr);
+  if (nested !== undefined) return nested;
+  if (expr.startsWith('param:')) return getSubmitted(request.parameters, expr.slice(6))?.[0];
+  if (expr.startsWith('file:')) return resolveFile(expr.slice(5), request);
+  if (!sourceElt) return undefined;
+  if (expr === 'this.value') {
+    if (sourceElt.value !== undefined) return sourceElt.value;
     if (sourceElt.tagName === 'FORM') {
-      const selectors = {
-        textarea: 'textarea',
-        email: 'input[type="email"]',
-        password: 'input[type="password"]',
-        text: 'input[type="text"], input:not([type])',
-        url: 'input[type="url"]',
-        tel: 'input[type="tel"]',
-        search: 'input[type="search"]',
-      };
-      const selector = selectors[expr] || `[name="${expr}"]`;
-      const field = sourceElt.querySelector(selector);
-      if (field?.value) return field.value;
+      const input = sourceElt.querySelector('input, textarea, select');
+      if (input?.value) return input.value;
     }
-    if (expr === 'this.textContent') return sourceElt.textContent || match;
-    if (expr.startsWith('this.dataset.')) {
-      const key = expr.slice(13);
-      return sourceElt.dataset[key] || match;
+  }
+  const typed = hasOwn(FIELD_TYPES, expr) && sourceElt.tagName === 'FORM' ? sourceElt.querySelector(FIELD_TYPES[expr]) : null;
+  // An unnamed field is not submitted, but its type helper still shows what was typed
+  if (typed && !typed.name) return typed.value || undefined;
+  const submitted = getSubmitted(request.parameters, typed ? typed.name : expr);
+  if (submitted?.[0]) return submitted[0];
+  // A submitted field named path or verb keeps precedence over the request's own
+  if (expr === 'verb' || expr === 'path') return request[expr];
+  if (expr === 'this.textContent') return sourceElt.textContent || undefined;
+  if (expr.startsWith('this.dataset.')) {
+    const key = expr.slice(13);
+    return sourceElt.dataset[key] || undefined;
+  }
+  if (expr.startsWith('data:')) {
+    const key = expr.slice(5);
+    const camelKey = key.replace(/-([a-z])/g, (m, l) => l.toUpperCase());
+    return sourceElt.dataset[camelKey] || undefined;
+  }
+  if (expr.startsWith('attr:')) {
+    const name = expr.slice(5);
+    return sourceElt.getAttribute(name) || undefined;
+  }
+  return undefined;
+}
+
+function resolveValue(expr, sourceElt, data, request) {
+  const value = resolveReference(expr, sourceElt, data, request);
+  if (value !== undefined || !isExpression(expr)) return value;
+  try {
+    return evaluateExpression(expr, (name) => resolveReference(name, sourceElt, data, request));
+  } catch (_) {
+    return undefined;
+  }
+}
+
+// Arrays from the data, every submitted value of a parameter, or a single value
+function resolveList(expr, sourceElt, data, request) {
+  const own = hasOwn(data, expr) && data[expr] !== undefined ? data[expr] : lookupNested(data, expr);
+  if (Array.isArray(own)) return own;
+  if (expr.startsWith('file:')) return getFiles(request, expr.slice(5)).map((file) => fileInfo(file, request));
+  const submitted = getSubmitted(request.parameters, expr.replace(/^param:/, ''));
+  if (submitted) return submitted.filter((value) => value !== '');
+  const value = resolveReference(expr, sourceElt, data, request);
+  return value === undefined ? [] : [value];
+}
+
+function isTruthy(value) {
+  return !(value === undefined || value === null || value === false || value === 0 || value === '' || value === 'false');
+}
+
+function testCondition(expr, sourceElt, data, request) {
+  if (!isExpression(expr)) return resolveList(expr, sourceElt, data, request).some(isTruthy);
+  try {
+    return testExpression(expr, (name) => resolveReference(name, sourceElt, data, request));
+  } catch (e) {
+    console.warn(`[hx-optimistic] Could not evaluate {{#if ${expr}}}:`, e.message);
+    return false;
+  }
+}
+
+function renderBlocks(nodes, sourceElt, data, options) {
+  return nodes
+    .map((node) => {
+      if (typeof node === 'string') return interpolatePatterns(node, sourceElt, data, options);
+      if (node.type === 'if') {
+        const branch = testCondition(node.expr, sourceElt, data, options.request) ? node.children : node.alternate || [];
+        return renderBlocks(branch, sourceElt, data, options);
+      }
+      const items = resolveList(node.expr, sourceElt, data, options.request);
+      if (items.length === 0) return renderBlocks(node.alternate || [], sourceElt, data, options);
+      return items
+        .map((item, index) => renderBlocks(node.children, sourceElt, { ...data, [node.alias || 'item']: item, index }, options))
+        .join('');
+    })
+    .join('');
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Expand `{{#each}}`/`{{#if}}` blocks and replace `${...}` patterns in a string. With
+ * `options.escape` the values are HTML-escaped, except for the `${{raw ...}}` form, which
+ * inserts the value as markup. Field names, `param:`, `file:`, `path` and `verb` resolve against
+ * `options.requestConfig` when given, or against what the source element would submit.
+ * `options.fileUrl(file)` supplies the object URLs for `${file:name.url}`.
+ */
+export function interpolateTemplate(str, sourceElt, data = {}, options = {}) {
+  if (typeof str !== 'string') return str;
+  if (!str.includes('${') && !hasBlocks(str)) return str;
+  options = { ...options, request: { ...getRequest(sourceElt, options.requestConfig), fileUrl: options.fileUrl } };
+  if (hasBlocks(str)) {
+    try {
+      return renderBlocks(parseBlocks(str), sourceElt, data, options);
+    } catch (e) {
+      console.warn('[hx-optimistic] Malformed template block:', e.message);
     }
-    if (expr.startsWith('data:')) {
-      const key = expr.slice(5);
-      const camelKey = key.replace(/-([a-z])/g, (m, l) => l.toUpperCase());
-      return sourceElt.dataset[camelKey] || match;
+  }
+  return interpolatePatterns(str, sourceElt, data, options);
+}
+
+function interpolatePatterns(str, sourceElt, data, options) {
+  return str.replace(/\$\{\{\s*raw\s+([^}]+)\}\}|\$\{([^}]+)\}/g, (match, unescaped, escaped) => {
+    const raw = unescaped === undefined ? escaped : unescaped;
+    const [expr, ...pipeline] = splitPipeline(raw.trim());
+    let value = resolveValue(expr, sourceElt, data, options.request);
+    if (pipeline.length) value = applyFilters(value, pipeline);
+    if (value !== undefined && value !== null) {
+      return options.escape && unescaped === undefined ? escapeHtml(value) : value;
     }
-    if (expr.startsWith('attr:')) {
-      const name = expr.slice(5);
-      return sourceElt.getAttribute(name) || match;
+    const expression = isExpression(expr);
+    if (!expression && (!sourceElt || /^(?:this\.textContent$|this\.dataset\.|data:|attr:|param:|file:)/.test(expr))) {
+      // Missing attributes and content are left as written
+      return match;
     }
-    if (expr.includes('.') || expr.includes(':')) {
+    if (expression || expr.includes('.') || expr.includes(':')) {
       console.warn(
         `[hx-optimistic] Unresolved interpolation pattern: \${${expr}}`,
         '\nSupported patterns:',
@@ -64,7 +238,13 @@ export function interpolateTemplate(str, sourceElt, data = {}) {
         '\n  ${attr:name} - any attribute',
         '\n  ${textarea}, ${email}, ${password}, etc. - form field by type',
         '\n  ${fieldName} - form field by name',
+        '\n  ${param:name}, ${path}, ${verb} - request parameters, path and method',
+        '\n  ${file:name.url}, ${file:name.size} - selected file preview and details',
         '\n  ${status}, ${statusText}, ${error} - error context',
+        '\n  ${responseText}, ${json.key} - error response body',
+        '\n  ${data:count + 1}, ${a > 0 ? "x" : "y"}, ${Math.max(a, b)} - expressions over the above',
+        '\n  ${value | truncate:80 | default:"-"} - filters',
+        '\n  ${{raw value}} - insert markup without HTML escaping',
         '\nSee documentation for details.'
       );
     }
@@ -140,8 +320,10 @@ export function resolveTargetChain(sourceElt, targetSelector) {
 
 export function setOptimisticStateClass(target, state) {
   if (!target?.classList) return;
-  target.classList.remove(CLASS_OPTIMISTIC, CLASS_ERROR, CLASS_REVERTING);
+  target.classList.remove(CLASS_OPTIMISTIC, CLASS_ERROR, CLASS_REVERTING, CLASS_RETRYING, CLASS_QUEUED);
   if (state === 'optimistic') target.classList.add(CLASS_OPTIMISTIC);
+  else if (state === 'retrying') target.classList.add(CLASS_OPTIMISTIC, CLASS_RETRYING);
+  else if (state === 'queued') target.classList.add(CLASS_OPTIMISTIC, CLASS_QUEUED);
   else if (state === 'error') target.classList.add(CLASS_ERROR);
   else if (state === 'reverting') target.classList.add(CLASS_REVERTING);
 }
@@ -156,6 +338,127 @@ export function getTargetFor(sourceElt) {
   return resolveTargetChain(sourceElt, targetSelector);
 }
 
+export function resolveOptimisticTarget(targetElt, sourceElt, config) {
+  if (!config?.target) return targetElt;
+  return resolveTargetChain(sourceElt, config.target) || targetElt;
+}
+
+export function parseSwapSpec(swap) {
+  const parts = String(swap || '').trim().split(/\s+/).filter(Boolean);
+  let style = parts[0] === 'replace' ? 'innerHTML' : parts[0];
+  if (!SWAP_STYLES.includes(style)) style = 'innerHTML';
+  const spec = { style };
+  parts.slice(1).forEach((modifier) => {
+    const [name, ...rest] = modifier.split(':');
+    if ((name !== 'show' && name !== 'scroll') || rest.length === 0) return;
+    const position = rest.pop();
+    if (position !== 'top' && position !== 'bottom') return;
+    spec[name] = { position, selector: rest.join(':') || null };
+  });
+  return spec;
+}
+
+export function getInheritedSwap(sourceElt) {
+  const owner = sourceElt?.closest?.('[hx-swap], [data-hx-swap]');
+  if (owner) return owner.getAttribute('hx-swap') ?? owner.getAttribute('data-hx-swap');
+  if (typeof htmx !== 'undefined' && htmx.config?.defaultSwapStyle) return htmx.config.defaultSwapStyle;
+  return null;
+}
+
+export function applySwapModifiers(targetElt, spec) {
+  ['scroll', 'show'].forEach((name) => {
+    const modifier = spec[name];
+    if (!modifier) return;
+    const top = modifier.position === 'top';
+    if (modifier.selector === 'window') {
+      if (typeof window.scrollTo === 'function') {
+        try { window.scrollTo(0, top ? 0 : document.body.scrollHeight); } catch (_) {}
+      }
+      return;
+    }
+    const elt = modifier.selector ? document.querySelector(modifier.selector) : targetElt;
+    if (!elt) return;
+    if (name === 'scroll') {
+      elt.scrollTop = top ? 0 : elt.scrollHeight;
+    } else if (typeof elt.scrollIntoView === 'function') {
+      elt.scrollIntoView({ block: top ? 'start' : 'end', behavior: 'auto' });
+    }
+  });
+}
+
+export function getResponseHeader(xhr, name) {
+  try {
+    return xhr?.getResponseHeader?.(name) ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function matchesHeader(xhr, headerSpec) {
+  const [name, ...valueParts] = String(headerSpec).split(':');
+  const actual = getResponseHeader(xhr, name.trim());
+  if (actual === null) return false;
+  if (valueParts.length === 0) return true;
+  return actual.trim().toLowerCase() === valueParts.join(':').trim().toLowerCase();
+}
+
+function matchesRule(xhr, rule, predicates, context) {
+  if (!rule) return false;
+  if (Array.isArray(rule)) rule = { status: rule };
+  const statuses = [].concat(rule.status ?? []).map(Number);
+  if (statuses.includes(xhr.status)) return true;
+  if ([].concat(rule.header ?? []).some((headerSpec) => matchesHeader(xhr, headerSpec))) return true;
+  return [].concat(rule.predicate ?? []).some((name) => {
+    const predicate = predicates.get(name);
+    if (!predicate) {
+      console.warn('[hx-optimistic] Unknown response predicate:', name);
+      return false;
+    }
+    try {
+      return Boolean(predicate(xhr, context));
+    } catch (e) {
+      console.warn('[hx-optimistic] Response predicate threw:', name, e);
+      return false;
+    }
+  });
+}
+
+export function classifyResponse(xhr, config, predicates, context = {}) {
+  if (!xhr) return null;
+  const header = getResponseHeader(xhr, HEADER_OPTIMISTIC);
+  if (header && header.trim().toLowerCase() === 'rollback') return 'failure';
+  if (getResponseHeader(xhr, HEADER_OPTIMISTIC_ERROR) !== null) return 'failure';
+  if (getResponseHeader(xhr, HEADER_OPTIMISTIC_REVERT) !== null) return 'failure';
+  if (matchesRule(xhr, config?.failOn, predicates, context)) return 'failure';
+  if (matchesRule(xhr, config?.successOn, predicates, context)) return 'success';
+  return null;
+}
+
+export function parseJsonResponse(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return null;
+  try {
+    return JSON.parse(trimmed);
+  } catch (_) {
+    return null;
+  }
+}
+
+export function getRevertDelay(revertHeader, fallback) {
+  if (revertHeader === null || revertHeader === undefined) return fallback;
+  const value = String(revertHeader).trim().toLowerCase();
+  if (value === 'immediate') return 0;
+  const ms = Number(value);
+  return value !== '' && Number.isFinite(ms) && ms >= 0 ? ms : fallback;
+}
+
+export function getRetryDelay(retry, attempt) {
+  let delay = retry.delay;
+  if (retry.backoff === 'exponential') delay = retry.delay * Math.pow(2, attempt - 1);
+  else if (retry.backoff === 'linear') delay = retry.delay * attempt;
+  return Math.min(delay, retry.maxDelay);
+}
+
 export function getNextToken(targetElt, tokenMap) {
   const currentToken = tokenMap.get(targetElt) || 0;
   const newToken = currentToken + 1;
@@ -169,6 +472,12 @@ export function processWithHtmxIfAvailable(element) {
   }
 }
 
+export function parseFragment(html, elt) {
+  const template = document.createElement('template');
+  template.innerHTML = toTrustedHtml(html, elt);
+  return template.content;
+}
+
 export function removeOptimisticDatasetAttributes(target) {
   if (!target?.dataset) return;
   Object.keys(target.dataset)
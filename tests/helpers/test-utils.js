@@ -54,13 +54,16 @@ export function triggerHtmxEvent(element, eventName, detail = {}) {
 /**
  * Create a mock XHR response
  */
-export function createMockXhr(status = 200, statusText = 'OK', responseText = '') {
+export function createMockXhr(status = 200, statusText = 'OK', responseText = '', headers = {}) {
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
   return {
     status,
     statusText,
     responseText,
-    getAllResponseHeaders: () => '',
-    getResponseHeader: (name) => null
+    getAllResponseHeaders: () => Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\r\n'),
+    getResponseHeader: (name) => lowerHeaders[name.toLowerCase()] ?? null
   };
 }
 
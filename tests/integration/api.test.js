@@ -0,0 +1,133 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createOptimisticElement, triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+describe('Programmatic API', () => {
+  let element;
+
+  afterEach(() => {
+    if (element && element.parentNode) element.remove();
+  });
+
+  function start(config = {}) {
+    element = createOptimisticElement(
+      '<button hx-post="/api/like" hx-ext="optimistic">Like</button>',
+      { values: { textContent: 'Liked' }, errorMessage: 'Failed', delay: 20, ...config }
+    );
+    triggerHtmxEvent(element, 'htmx:beforeRequest');
+    return element;
+  }
+
+  it('reports pending optimistic targets', async () => {
+    start();
+    await nextTick();
+
+    expect(global.htmx.optimistic.isPending(element)).toBe(true);
+    expect(global.htmx.optimistic.pending()).toContain(element);
+
+    triggerHtmxEvent(element, 'htmx:afterSwap');
+    expect(global.htmx.optimistic.isPending(element)).toBe(false);
+    expect(global.htmx.optimistic.pending()).not.toContain(element);
+  });
+
+  it('reverts immediately and cancels the scheduled revert', async () => {
+    start();
+    await nextTick();
+    triggerHtmxEvent(element, 'htmx:responseError', { xhr: { status: 500, statusText: 'Error' } });
+    expect(element.textContent).toBe('Failed');
+
+    expect(global.htmx.optimistic.revert(element)).toBe(true);
+    expect(element.textContent).toBe('Like');
+    await new Promise(r => setTimeout(r, 40));
+
+    const reverted = global.htmx.trigger.mock.calls.filter(([, name]) => name === 'optimistic:reverted');
+    expect(reverted).toHaveLength(1);
+    expect(global.htmx.optimistic.revert(element)).toBe(false);
+  });
+
+  it('commits the optimistic state and cancels the scheduled revert', async () => {
+    start();
+    await nextTick();
+    triggerHtmxEvent(element, 'htmx:responseError', { xhr: { status: 500, statusText: 'Error' } });
+
+    expect(global.htmx.optimistic.commit(element)).toBe(true);
+    await new Promise(r => setTimeout(r, 40));
+
+    expect(element.textContent).toBe('Failed');
+    expect(global.htmx.trigger).toHaveBeenCalledWith(element, 'optimistic:committed', expect.any(Object));
+    expect(global.htmx.trigger).not.toHaveBeenCalledWith(element, 'optimistic:reverted', expect.any(Object));
+  });
+
+  it('ignores a later error from a request committed while in flight', async () => {
+    start();
+    await nextTick();
+
+    expect(global.htmx.optimistic.commit(element)).toBe(true);
+    triggerHtmxEvent(element, 'htmx:responseError', { xhr: { status: 500, statusText: 'Error' } });
+    await new Promise(r => setTimeout(r, 40));
+
+    expect(element.textContent).toBe('Liked');
+    expect(element.classList.contains('hx-optimistic-error')).toBe(false);
+    expect(global.htmx.trigger).not.toHaveBeenCalledWith(element, 'optimistic:error', expect.any(Object));
+  });
+
+  it('clears the scheduled revert when the target is requested again', async () => {
+    start();
+    await nextTick();
+    triggerHtmxEvent(element, 'htmx:responseError', { xhr: { status: 500, statusText: 'Error' } });
+    triggerHtmxEvent(element, 'htmx:beforeRequest');
+    await new Promise(r => setTimeout(r, 40));
+
+    expect(element.textContent).toBe('Liked');
+    expect(global.htmx.optimistic.isPending(element)).toBe(true);
+  });
+
+  it('forgets targets removed by htmx', async () => {
+    start();
+    await nextTick();
+    triggerHtmxEvent(element, 'htmx:responseError', { xhr: { status: 500, statusText: 'Error' } });
+    triggerHtmxEvent(element, 'htmx:beforeCleanupElement');
+    element.remove();
+    await new Promise(r => setTimeout(r, 40));
+
+    expect(global.htmx.optimistic.isPending(element)).toBe(false);
+    expect(global.htmx.trigger).not.toHaveBeenCalledWith(element, 'optimistic:reverted', expect.any(Object));
+  });
+
+  it('drops targets detached without htmx from pending()', async () => {
+    start();
+    await nextTick();
+    element.remove();
+
+    expect(global.htmx.optimistic.pending()).not.toContain(element);
+    expect(global.htmx.optimistic.isPending(element)).toBe(false);
+  });
+
+  it('resolves the source element to its target', async () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<span class="count">3</span><button hx-post="/api/like" hx-target="previous .count" hx-ext="optimistic">+</button>';
+    document.body.appendChild(container);
+    const button = container.querySelector('button');
+    button.setAttribute('data-optimistic', JSON.stringify({ values: { textContent: '4' } }));
+    triggerHtmxEvent(button, 'htmx:beforeRequest');
+
+    expect(global.htmx.optimistic.isPending(button)).toBe(true);
+    global.htmx.optimistic.revert(button);
+    expect(container.querySelector('.count').textContent).toBe('3');
+    container.remove();
+  });
+
+  it('revert cancels a request held by an undo window', async () => {
+    element = createOptimisticElement(
+      '<div hx-delete="/api/item" hx-ext="optimistic">Item</div>',
+      { values: { textContent: 'Deleted' }, undo: 20 }
+    );
+    const issueRequest = vi.fn();
+    triggerHtmxEvent(element, 'htmx:confirm', { issueRequest });
+
+    global.htmx.optimistic.revert(element);
+    await new Promise(r => setTimeout(r, 40));
+
+    expect(element.textContent).toBe('Item');
+    expect(issueRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { triggerHtmxEvent, createMockXhr, nextTick } from '../helpers/test-utils.js';
+
+describe('Concurrency', () => {
+  let container;
+
+  function setup(concurrency) {
+    container = document.createElement('div');
+    container.innerHTML = `
+      <span id="likes">Not liked</span>
+      <button class="like" hx-post="/api/like" hx-target="#likes" hx-ext="optimistic">Like</button>
+      <button class="unlike" hx-post="/api/unlike" hx-target="#likes" hx-ext="optimistic">Unlike</button>
+    `;
+    document.body.appendChild(container);
+    const like = container.querySelector('.like');
+    const unlike = container.querySelector('.unlike');
+    like.setAttribute('data-optimistic', JSON.stringify({ values: { textContent: 'Liked' }, concurrency }));
+    unlike.setAttribute('data-optimistic', JSON.stringify({ values: { textContent: 'Not liked' }, concurrency }));
+    return { like, unlike, likes: container.querySelector('#likes') };
+  }
+
+  afterEach(() => {
+    if (container && container.parentNode) container.remove();
+  });
+
+  it('last-wins ignores the response of a superseded request', () => {
+    const { like, unlike, likes } = setup('last-wins');
+    const first = createMockXhr(200);
+    const second = createMockXhr(200);
+
+    triggerHtmxEvent(like, 'htmx:beforeRequest', { xhr: first });
+    triggerHtmxEvent(unlike, 'htmx:beforeRequest', { xhr: second });
+    expect(likes.textContent).toBe('Not liked');
+
+    const stale = triggerHtmxEvent(like, 'htmx:beforeSwap', { xhr: first, target: likes, shouldSwap: true });
+    expect(stale.detail.shouldSwap).toBe(false);
+    triggerHtmxEvent(like, 'htmx:afterRequest', { xhr: first, successful: true });
+    expect(likes.classList.contains('hx-optimistic')).toBe(true);
+
+    const latest = triggerHtmxEvent(unlike, 'htmx:beforeSwap', { xhr: second, target: likes, shouldSwap: true });
+    expect(latest.detail.shouldSwap).toBe(true);
+  });
+
+  it('last-wins ignores errors from a superseded request', async () => {
+    const { like, unlike, likes } = setup('last-wins');
+    const first = createMockXhr(500, 'Error');
+    const second = createMockXhr(200);
+
+    triggerHtmxEvent(like, 'htmx:beforeRequest', { xhr: first });
+    triggerHtmxEvent(unlike, 'htmx:beforeRequest', { xhr: second });
+    triggerHtmxEvent(like, 'htmx:responseError', { xhr: first });
+    await nextTick();
+
+    expect(likes.textContent).toBe('Not liked');
+    expect(likes.classList.contains('hx-optimistic-error')).toBe(false);
+  });
+
+  it('last-wins ignores errors that arrive after the newer request swapped', async () => {
+    const { like, unlike, likes } = setup('last-wins');
+    const first = createMockXhr(500, 'Error');
+    const second = createMockXhr(200);
+
+    triggerHtmxEvent(like, 'htmx:beforeRequest', { xhr: first });
+    triggerHtmxEvent(unlike, 'htmx:beforeRequest', { xhr: second });
+    triggerHtmxEvent(unlike, 'htmx:beforeSwap', { xhr: second, target: likes, shouldSwap: true });
+    likes.textContent = 'Not liked (saved)';
+    triggerHtmxEvent(likes, 'htmx:afterSwap', { xhr: second });
+
+    triggerHtmxEvent(like, 'htmx:responseError', { xhr: first });
+    await nextTick();
+
+    expect(likes.textContent).toBe('Not liked (saved)');
+    expect(likes.classList.contains('hx-optimistic-error')).toBe(false);
+    expect(global.htmx.optimistic.isPending(likes)).toBe(false);
+  });
+
+  it('abort-previous aborts the superseded request', () => {
+    const { like, unlike, likes } = setup('abort-previous');
+
+    triggerHtmxEvent(like, 'htmx:beforeRequest', { xhr: createMockXhr() });
+    triggerHtmxEvent(unlike, 'htmx:beforeRequest', { xhr: createMockXhr() });
+
+    expect(global.htmx.trigger).toHaveBeenCalledWith(like, 'htmx:abort');
+    expect(likes.textContent).toBe('Not liked');
+  });
+
+  it('abort-previous settles the aborted update when the winning request has no swap', () => {
+    const { like, unlike, likes } = setup('abort-previous');
+    const first = createMockXhr();
+    const second = createMockXhr(204);
+
+    triggerHtmxEvent(like, 'htmx:beforeRequest', { xhr: first });
+    triggerHtmxEvent(unlike, 'htmx:beforeRequest', { xhr: second });
+    // htmx's abort path ends the request without an error event
+    triggerHtmxEvent(like, 'htmx:afterRequest', { xhr: first });
+    triggerHtmxEvent(unlike, 'htmx:afterRequest', { xhr: second, successful: true });
+
+    expect(likes.textContent).toBe('Not liked');
+    expect(likes.classList.contains('hx-optimistic')).toBe(false);
+    expect(global.htmx.optimistic.isPending(likes)).toBe(false);
+  });
+
+  it('drop-new cancels requests while one is in flight', () => {
+    const { like, unlike, likes } = setup('drop-new');
+    const first = createMockXhr();
+
+    triggerHtmxEvent(like, 'htmx:beforeRequest', { xhr: first });
+    const dropped = triggerHtmxEvent(unlike, 'htmx:beforeRequest', { xhr: createMockXhr() });
+    expect(dropped.defaultPrevented).toBe(true);
+    expect(likes.textContent).toBe('Liked');
+
+    triggerHtmxEvent(like, 'htmx:afterRequest', { xhr: first, successful: true });
+    const accepted = triggerHtmxEvent(unlike, 'htmx:beforeRequest', { xhr: createMockXhr() });
+    expect(accepted.defaultPrevented).toBe(false);
+  });
+
+  it('queue holds new requests until the one in flight settles', async () => {
+    const { like, unlike } = setup('queue');
+    const first = createMockXhr();
+    const issueRequest = vi.fn();
+
+    triggerHtmxEvent(like, 'htmx:beforeRequest', { xhr: first });
+    const held = triggerHtmxEvent(unlike, 'htmx:confirm', { issueRequest });
+    expect(held.defaultPrevented).toBe(true);
+    expect(issueRequest).not.toHaveBeenCalled();
+
+    triggerHtmxEvent(like, 'htmx:afterRequest', { xhr: first, successful: true });
+    await nextTick();
+    expect(issueRequest).toHaveBeenCalledWith(true);
+  });
+
+  it('queue shows the held request\'s update right away and keeps it when the request is sent', async () => {
+    const { like, unlike, likes } = setup('queue');
+    const first = createMockXhr(204);
+    const second = createMockXhr(204);
+
+    triggerHtmxEvent(like, 'htmx:beforeRequest', { xhr: first });
+    expect(likes.textContent).toBe('Liked');
+    triggerHtmxEvent(unlike, 'htmx:confirm', { issueRequest: vi.fn() });
+    expect(likes.textContent).toBe('Not liked');
+    expect(likes.classList.contains('hx-optimistic')).toBe(true);
+
+    triggerHtmxEvent(like, 'htmx:afterRequest', { xhr: first, successful: true });
+    await nextTick();
+    triggerHtmxEvent(unlike, 'htmx:beforeRequest', { xhr: second });
+    const applied = global.htmx.trigger.mock.calls.filter(([, name]) => name === 'optimistic:applied');
+    expect(applied).toHaveLength(2);
+
+    triggerHtmxEvent(unlike, 'htmx:afterRequest', { xhr: second, successful: true });
+    expect(likes.textContent).toBe('Not liked');
+    expect(global.htmx.optimistic.isPending(likes)).toBe(false);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { createOptimisticElement, triggerHtmxEvent, nextTick, createTemplate } from '../helpers/test-utils.js';
 
 describe('Error Handling Integration', () => {
@@ -283,4 +283,181 @@ describe('Error Handling Integration', () => {
       expect(errorMessages.length).toBe(1);
     });
   });
-});
\ No newline at end of file
+
+  describe('Optimistic target rollback', () => {
+    it('should snapshot and revert the config.target element as well as hx-target', async () => {
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <span class="count">3</span>
+        <button hx-post="/api/like" hx-ext="optimistic">Like</button>
+      `;
+      document.body.appendChild(container);
+      const counter = container.querySelector('.count');
+      element = container.querySelector('button');
+      element.setAttribute('data-optimistic', JSON.stringify({
+        target: 'closest div find .count',
+        values: { textContent: '4' },
+        errorMessage: 'Failed',
+        delay: 50
+      }));
+
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+      expect(counter.textContent).toBe('4');
+      expect(counter.classList.contains('hx-optimistic')).toBe(true);
+      expect(element.classList.contains('hx-optimistic')).toBe(true);
+
+      triggerHtmxEvent(element, 'htmx:responseError', {
+        xhr: { status: 500, statusText: 'Error' }
+      });
+      await nextTick();
+      expect(counter.classList.contains('hx-optimistic-error')).toBe(true);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(counter.textContent).toBe('3');
+      expect(counter.classList.contains('hx-optimistic-error')).toBe(false);
+      expect(element.textContent).toBe('Like');
+
+      container.remove();
+    });
+
+    it('should clear state on the config.target element after a successful swap', async () => {
+      const container = document.createElement('div');
+      container.innerHTML = '<span class="count">3</span><button hx-post="/api/like" hx-ext="optimistic">Like</button>';
+      document.body.appendChild(container);
+      const counter = container.querySelector('.count');
+      element = container.querySelector('button');
+      element.setAttribute('data-optimistic', JSON.stringify({
+        target: 'previous .count',
+        values: { textContent: '4' }
+      }));
+
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+      triggerHtmxEvent(element, 'htmx:afterSwap');
+      await nextTick();
+
+      expect(counter.textContent).toBe('4');
+      expect(counter.classList.contains('hx-optimistic')).toBe(false);
+
+      container.remove();
+    });
+  });
+
+  describe('Error content from the response body', () => {
+    it('swaps the response body into the target with errorMode response', async () => {
+      element = createOptimisticElement(
+        '<form hx-post="/api/save" hx-ext="optimistic"><p>Form</p></form>',
+        { values: { className: 'saving' }, errorMode: 'response', delay: 50 }
+      );
+      const originalHTML = element.innerHTML;
+
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+      triggerHtmxEvent(element, 'htmx:responseError', {
+        xhr: { status: 422, statusText: 'Unprocessable Entity', responseText: '<p class="invalid">Name is required</p>' }
+      });
+
+      expect(element.innerHTML).toBe('<p class="invalid">Name is required</p>');
+      await new Promise(resolve => setTimeout(resolve, 80));
+      expect(element.innerHTML).toBe(originalHTML);
+    });
+
+    it('renders into the errorSlot inside the target', async () => {
+      element = createOptimisticElement(
+        '<form hx-post="/api/save" hx-ext="optimistic"><input name="title"><div class="errors"></div></form>',
+        { values: { className: 'saving' }, errorMode: 'response', errorSlot: '.errors', delay: 0 }
+      );
+
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+      triggerHtmxEvent(element, 'htmx:responseError', {
+        xhr: { status: 422, statusText: 'Unprocessable Entity', responseText: 'Title is too short' }
+      });
+
+      expect(element.querySelector('input[name="title"]')).toBeTruthy();
+      expect(element.querySelector('.errors').textContent).toBe('Title is too short');
+    });
+
+    it('falls back to the error template when the response body is empty', async () => {
+      element = createOptimisticElement(
+        '<div hx-post="/api/save" hx-ext="optimistic">Content</div>',
+        { errorMode: 'response', errorTemplate: '<span>Error ${status}</span>', delay: 0 }
+      );
+
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+      triggerHtmxEvent(element, 'htmx:sendError', {});
+
+      expect(element.innerHTML).toBe('<span>Error 0</span>');
+    });
+
+    it('exposes ${responseText} and parsed ${json.*} fields to error templates', async () => {
+      element = createOptimisticElement(
+        '<div hx-post="/api/save" hx-ext="optimistic">Content</div>',
+        { errorTemplate: '<span>${json.message} (${json.errors.field})</span>', delay: 0 }
+      );
+
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+      triggerHtmxEvent(element, 'htmx:responseError', {
+        xhr: { status: 422, statusText: 'Unprocessable Entity', responseText: '{"message":"Invalid","errors":{"field":"title"}}' }
+      });
+
+      expect(element.innerHTML).toBe('<span>Invalid (title)</span>');
+    });
+  });
+
+  describe('Error template actions', () => {
+    const requestConfig = { verb: 'post', path: '/api/save', parameters: { title: 'Draft' }, headers: {} };
+
+    beforeEach(() => {
+      global.htmx.ajax = vi.fn();
+    });
+
+    afterEach(() => {
+      delete global.htmx.ajax;
+    });
+
+    async function fail() {
+      element = createOptimisticElement(
+        '<div hx-post="/api/save" hx-ext="optimistic">Content</div>',
+        {
+          values: { textContent: 'Saving...' },
+          errorTemplate: '<span>Failed</span><button data-optimistic-retry>Retry</button><button data-optimistic-dismiss>Undo</button>',
+          delay: 20
+        }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest', { requestConfig });
+      await nextTick();
+      triggerHtmxEvent(element, 'htmx:responseError', { xhr: { status: 500, statusText: 'Error' } });
+    }
+
+    it('dismiss reverts immediately and cancels the delayed revert', async () => {
+      await fail();
+      element.querySelector('[data-optimistic-dismiss]').click();
+
+      expect(element.textContent).toBe('Content');
+      const reverted = () => global.htmx.trigger.mock.calls.filter(([, name]) => name === 'optimistic:reverted');
+      expect(reverted()).toHaveLength(1);
+      await new Promise(r => setTimeout(r, 40));
+      expect(reverted()).toHaveLength(1);
+    });
+
+    it('retry reverts and re-issues the original request', async () => {
+      await fail();
+      element.querySelector('[data-optimistic-retry]').click();
+
+      expect(element.textContent).toBe('Content');
+      expect(global.htmx.ajax).toHaveBeenCalledWith('post', '/api/save', expect.objectContaining({
+        source: element,
+        target: element,
+        values: { title: 'Draft' }
+      }));
+
+      triggerHtmxEvent(element, 'htmx:beforeRequest', { requestConfig });
+      await new Promise(r => setTimeout(r, 40));
+      expect(element.textContent).toBe('Saving...');
+    });
+  });
+});
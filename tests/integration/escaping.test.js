@@ -0,0 +1,117 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+describe('HTML escaping', () => {
+  const payload = '<img src=x onerror="alert(1)">';
+  let form;
+
+  function createForm(config, comment = payload) {
+    form = document.createElement('form');
+    form.setAttribute('hx-post', '/api/comments');
+    form.setAttribute('hx-ext', 'optimistic');
+    form.setAttribute('data-optimistic', JSON.stringify(config));
+    form.innerHTML = '<textarea name="comment"></textarea>';
+    form.querySelector('textarea').value = comment;
+    document.body.appendChild(form);
+    return form;
+  }
+
+  afterEach(() => {
+    global.htmx.optimistic.setSanitizer(null);
+    form?.remove();
+  });
+
+  it('escapes interpolated values in templates', async () => {
+    createForm({ template: '<p class="comment">${textarea}</p>' });
+    triggerHtmxEvent(form, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(form.querySelector('img')).toBeNull();
+    expect(form.querySelector('.comment').textContent).toBe(payload);
+  });
+
+  it('escapes values assigned to innerHTML but not to other properties', async () => {
+    createForm({ values: { title: '${textarea}', innerHTML: '<b>${textarea}</b>' } });
+    triggerHtmxEvent(form, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(form.querySelector('b').textContent).toBe(payload);
+    expect(form.querySelector('img')).toBeNull();
+    expect(form.title).toBe(payload);
+  });
+
+  it('escapes error data in error templates', async () => {
+    createForm({ template: 'Posting...', errorTemplate: '<p>${responseText}</p>', delay: 0 });
+    triggerHtmxEvent(form, 'htmx:beforeRequest');
+    await nextTick();
+    triggerHtmxEvent(form, 'htmx:responseError', { xhr: { status: 400, statusText: 'Bad Request', responseText: payload } });
+
+    expect(form.querySelector('img')).toBeNull();
+    expect(form.querySelector('p').textContent).toBe(payload);
+  });
+
+  it('inserts markup with ${{raw ...}}', async () => {
+    createForm({ template: '<div class="preview">${{raw textarea}}</div>' }, '<em>hello</em>');
+    triggerHtmxEvent(form, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(form.querySelector('.preview em').textContent).toBe('hello');
+  });
+
+  it('applies filters to raw values', async () => {
+    createForm({ template: '<div>${{raw textarea | upper}}</div>' }, '<em>hi</em>');
+    triggerHtmxEvent(form, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(form.querySelector('div').innerHTML).toBe('<em>HI</em>');
+  });
+
+  it('passes interpolated HTML through the sanitizer', async () => {
+    const sanitizer = vi.fn((html) => html.replace(/<script[\s\S]*?<\/script>/g, ''));
+    global.htmx.optimistic.setSanitizer(sanitizer);
+    createForm({ template: '<div class="preview">${{raw textarea}}</div>' }, '<em>ok</em><script>alert(1)</script>');
+    triggerHtmxEvent(form, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(sanitizer).toHaveBeenCalledWith(expect.stringContaining('<script>'), form);
+    expect(form.querySelector('script')).toBeNull();
+    expect(form.querySelector('.preview em').textContent).toBe('ok');
+  });
+
+  it('passes error response bodies through the sanitizer', async () => {
+    const sanitizer = vi.fn((html) => html.replace(/<img[^>]*>/g, ''));
+    global.htmx.optimistic.setSanitizer(sanitizer);
+    createForm({ template: 'Posting...', errorMode: 'response', delay: 0 });
+    triggerHtmxEvent(form, 'htmx:beforeRequest');
+    await nextTick();
+    triggerHtmxEvent(form, 'htmx:responseError', { xhr: { status: 422, statusText: 'Invalid', responseText: `<p>Too short</p>${payload}` } });
+
+    expect(sanitizer).toHaveBeenCalledWith(`<p>Too short</p>${payload}`, form);
+    expect(form.querySelector('img')).toBeNull();
+    expect(form.querySelector('p').textContent).toBe('Too short');
+  });
+
+  it('refuses values keys that would parse markup', async () => {
+    const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    createForm({ values: { outerHTML: '<div>${textarea}</div>', className: 'saving' } });
+    triggerHtmxEvent(form, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(form.isConnected).toBe(true);
+    expect(form.className).toContain('saving');
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('values.outerHTML is not supported'), form);
+    spy.mockRestore();
+  });
+
+  it('inserts nothing when the sanitizer throws', async () => {
+    const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    global.htmx.optimistic.setSanitizer(() => { throw new Error('boom'); });
+    createForm({ template: '<div>${{raw textarea}}</div>' });
+    triggerHtmxEvent(form, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(form.querySelector('img')).toBeNull();
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('Sanitizer failed'), expect.any(Error));
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createOptimisticElement, triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+describe('File upload previews', () => {
+  let element;
+  let urlCount;
+
+  beforeEach(() => {
+    urlCount = 0;
+    URL.createObjectURL = vi.fn(() => `blob:preview-${++urlCount}`);
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  afterEach(() => {
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    element?.remove();
+  });
+
+  function upload(config) {
+    element = createOptimisticElement('<form hx-post="/api/avatar" hx-ext="optimistic" hx-encoding="multipart/form-data"></form>', config);
+    return element;
+  }
+
+  function request(elt, formData) {
+    triggerHtmxEvent(elt, 'htmx:beforeRequest', { requestConfig: { verb: 'post', path: '/api/avatar', formData, parameters: {} } });
+  }
+
+  function avatarData() {
+    const formData = new FormData();
+    formData.append('avatar', new File(['x'.repeat(2048)], 'me.png', { type: 'image/png' }));
+    return formData;
+  }
+
+  it('shows a thumbnail, name and size for the selected file', async () => {
+    upload({ template: '<img src="${file:avatar.url}"><span>${file:avatar.name} (${file:avatar.size | bytes}, ${file:avatar.type})</span>' });
+    request(element, avatarData());
+    await nextTick();
+
+    expect(element.querySelector('img').getAttribute('src')).toBe('blob:preview-1');
+    expect(element.querySelector('span').textContent).toBe(`me.png (${new Intl.NumberFormat().format(2)} KB, image/png)`);
+    expect(URL.createObjectURL).toHaveBeenCalledWith(expect.objectContaining({ name: 'me.png' }));
+  });
+
+  it('creates one URL per file, only when a template uses it', async () => {
+    upload({ template: '{{#each file:photos}}<li>${item.name}</li>{{/each}}' });
+    const photos = [new File(['a'], 'a.jpg'), new File(['b'], 'b.jpg')];
+    triggerHtmxEvent(element, 'htmx:beforeRequest', { requestConfig: { parameters: { photos } } });
+    await nextTick();
+    expect(element.textContent).toBe('a.jpgb.jpg');
+    expect(URL.createObjectURL).not.toHaveBeenCalled();
+
+    element.remove();
+    upload({ template: '{{#each file:photos}}<img src="${item.url}" alt="${item.name}">{{/each}}<a href="${file:photos.url}">first</a>' });
+    triggerHtmxEvent(element, 'htmx:beforeRequest', { requestConfig: { parameters: { photos } } });
+    await nextTick();
+    expect(Array.from(element.querySelectorAll('img'), (img) => img.getAttribute('src'))).toEqual(['blob:preview-1', 'blob:preview-2']);
+    expect(element.querySelector('a').getAttribute('href')).toBe('blob:preview-1');
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(2);
+  });
+
+  it('ignores an empty file input', async () => {
+    upload({ template: '{{#if file:avatar}}<img src="${file:avatar.url}">{{else}}No file{{/if}}' });
+    const formData = new FormData();
+    formData.append('avatar', new File([], '', { type: 'application/octet-stream' }));
+    request(element, formData);
+    await nextTick();
+    expect(element.textContent).toBe('No file');
+  });
+
+  it('revokes the URLs when the update is reverted', async () => {
+    upload({ template: '<img src="${file:avatar.url}">', errorMessage: 'Upload failed', delay: 10 });
+    request(element, avatarData());
+    await nextTick();
+
+    triggerHtmxEvent(element, 'htmx:responseError', { xhr: { status: 500, statusText: 'Error' } });
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    await new Promise(r => setTimeout(r, 30));
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:preview-1');
+  });
+
+  it('revokes the URLs once the server response is swapped in', async () => {
+    upload({ template: '<img src="${file:avatar.url}">' });
+    request(element, avatarData());
+    await nextTick();
+
+    triggerHtmxEvent(element, 'htmx:afterSwap');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:preview-1');
+  });
+
+  it('keeps the URLs of a committed preview', async () => {
+    upload({ template: '<img src="${file:avatar.url}">' });
+    request(element, avatarData());
+    await nextTick();
+
+    global.htmx.optimistic.commit(element);
+    expect(element.querySelector('img').getAttribute('src')).toBe('blob:preview-1');
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+  });
+
+  describe('upload progress', () => {
+    it('renders the progress template and updates it on htmx:xhr:progress', async () => {
+      upload({ template: '<p>Uploading ${file:avatar.name}</p>', progress: '<progress value="${progress}" max="100"></progress>${progress}%' });
+      request(element, avatarData());
+      await nextTick();
+
+      const progressEl = element.querySelector('.hx-optimistic-progress');
+      expect(progressEl.textContent).toBe('0%');
+
+      triggerHtmxEvent(element, 'htmx:xhr:progress', { lengthComputable: true, loaded: 512, total: 2048 });
+      expect(element.querySelector('.hx-optimistic-progress')).toBe(progressEl);
+      expect(progressEl.querySelector('progress').getAttribute('value')).toBe('25');
+      expect(progressEl.textContent).toBe('25%');
+
+      triggerHtmxEvent(element, 'htmx:xhr:progress', { lengthComputable: true, loaded: 2048, total: 2048 });
+      expect(progressEl.textContent).toBe('100%');
+    });
+
+    it('renders into a data-optimistic-progress slot and exposes loaded and total', async () => {
+      upload({
+        template: '<div class="card"><span>${file:avatar.name}</span><small data-optimistic-progress></small></div>',
+        progress: '${loaded | bytes} of ${total | bytes}'
+      });
+      request(element, avatarData());
+      await nextTick();
+
+      triggerHtmxEvent(element, 'htmx:xhr:progress', { lengthComputable: true, loaded: 1024, total: 2048 });
+      expect(element.querySelector('.hx-optimistic-progress')).toBeNull();
+      const format = (n) => new Intl.NumberFormat().format(n);
+      expect(element.querySelector('[data-optimistic-progress]').textContent).toBe(`${format(1)} KB of ${format(2)} KB`);
+    });
+
+    it('removes the progress display on revert', async () => {
+      element = createOptimisticElement(
+        '<div hx-post="/api/avatar" hx-ext="optimistic">Avatar</div>',
+        { values: { className: 'uploading' }, progress: '${progress}%', errorMessage: 'Failed', delay: 10 }
+      );
+      request(element, avatarData());
+      await nextTick();
+      expect(element.querySelector('.hx-optimistic-progress')).toBeTruthy();
+
+      triggerHtmxEvent(element, 'htmx:sendError', { xhr: { status: 0 } });
+      await new Promise(r => setTimeout(r, 30));
+      expect(element.querySelector('.hx-optimistic-progress')).toBeNull();
+      expect(element.textContent).toBe('Avatar');
+    });
+
+    it('ignores progress from a request whose update is not on top', async () => {
+      upload({ template: 'Uploading', progress: '${progress}%' });
+      request(element, avatarData());
+      await nextTick();
+
+      const other = document.createElement('button');
+      other.setAttribute('hx-target', 'form');
+      triggerHtmxEvent(element, 'htmx:xhr:progress', { elt: other, lengthComputable: true, loaded: 1, total: 2 });
+      expect(element.querySelector('.hx-optimistic-progress').textContent).toBe('0%');
+    });
+  });
+});
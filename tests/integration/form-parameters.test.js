@@ -0,0 +1,175 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createOptimisticElement, triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+describe('Form parameters in interpolation', () => {
+  const created = [];
+
+  afterEach(() => {
+    created.splice(0).forEach((elt) => elt.remove());
+  });
+
+  function createForm(fields, config) {
+    const form = document.createElement('form');
+    form.setAttribute('hx-post', '/api/save');
+    form.setAttribute('hx-ext', 'optimistic');
+    form.setAttribute('data-optimistic', JSON.stringify(config));
+    form.innerHTML = fields;
+    document.body.appendChild(form);
+    created.push(form);
+    return form;
+  }
+
+  async function apply(elt, detail) {
+    triggerHtmxEvent(elt, 'htmx:beforeRequest', detail);
+    await nextTick();
+    return elt.textContent;
+  }
+
+  it('reads the checked radio of a group', async () => {
+    const form = createForm(
+      `<input type="radio" name="size" value="S">
+       <input type="radio" name="size" value="M" checked>
+       <input type="radio" name="size" value="L">`,
+      { values: { textContent: 'Size ${size}' } }
+    );
+    expect(await apply(form)).toBe('Size M');
+  });
+
+  it('does not report unchecked checkboxes', async () => {
+    const form = createForm(
+      `<input type="checkbox" name="subscribe" value="yes">`,
+      { values: { textContent: '${subscribe | default:"no"}' } }
+    );
+    expect(await apply(form)).toBe('no');
+  });
+
+  it('iterates selected options and repeated names', async () => {
+    const form = createForm(
+      `<select name="tags" multiple>
+         <option value="a" selected>A</option><option value="b">B</option><option value="c" selected>C</option>
+       </select>
+       <input name="phone" value="111"><input name="phone" value="222">`,
+      { template: '{{#each tags}}[${item}]{{/each}} ${phone} {{#each phone}}(${item}){{/each}}' }
+    );
+    expect(await apply(form)).toBe('[a][c] 111 (111)(222)');
+  });
+
+  it('skips disabled fields', async () => {
+    const form = createForm(
+      `<input name="title" value="Draft" disabled>`,
+      { values: { textContent: '${title | default:"Untitled"}' } }
+    );
+    expect(await apply(form)).toBe('Untitled');
+  });
+
+  it('includes hx-include and hx-vals parameters for non-form sources', async () => {
+    const filters = document.createElement('div');
+    filters.id = 'filters';
+    filters.innerHTML = '<input name="q" value="shoes"><input type="checkbox" name="sale" value="1" checked>';
+    document.body.appendChild(filters);
+    created.push(filters);
+    const button = createOptimisticElement(
+      `<button hx-post="/api/search" hx-ext="optimistic" hx-include="#filters" hx-vals='{"page": 2}'>Search</button>`,
+      { values: { textContent: '${q} ${sale} page ${page}' } }
+    );
+    created.push(button);
+    expect(await apply(button)).toBe('shoes 1 page 2');
+  });
+
+  it('lets nearer hx-vals override inherited ones and ignores js: values', async () => {
+    const wrapper = document.createElement('div');
+    wrapper.setAttribute('hx-vals', '{"page": 1, "sort": "name"}');
+    wrapper.innerHTML = `<button hx-post="/api/list" hx-ext="optimistic" hx-vals='js:{page: next()}'>Next</button>`;
+    const button = wrapper.firstElementChild;
+    button.setAttribute('data-optimistic', JSON.stringify({ values: { textContent: '${sort} ${page}' } }));
+    document.body.appendChild(wrapper);
+    created.push(wrapper);
+    expect(await apply(button)).toBe('name 1');
+  });
+
+  it('prefers the parameters htmx built for the request', async () => {
+    const form = createForm(
+      `<input name="title" value="From the DOM"><input name="secret" value="hidden">`,
+      { values: { textContent: '${title} ${secret | default:"-"}' } }
+    );
+    const requestConfig = { verb: 'post', path: '/api/save', parameters: { title: 'Submitted' } };
+    expect(await apply(form, { requestConfig })).toBe('Submitted -');
+  });
+
+  it('reads multi-valued parameters and FormData from the request', async () => {
+    const form = createForm('', { template: '{{#each tags}}${item};{{/each}} ${name}' });
+    const formData = new FormData();
+    formData.append('tags', 'x');
+    formData.append('tags', 'y');
+    formData.append('name', 'Ada');
+    expect(await apply(form, { requestConfig: { formData, parameters: {} } })).toBe('x;y; Ada');
+
+    const other = createForm('', { template: '{{#each tags}}${item};{{/each}}' });
+    expect(await apply(other, { requestConfig: { parameters: { tags: ['p', 'q'] } } })).toBe('p;q;');
+  });
+
+  it('reads the form rather than the previous request when an undo window holds the request', async () => {
+    const form = createForm(
+      `<input name="title" value="Second">`,
+      { values: { title: '${title}' }, undo: 10 }
+    );
+    triggerHtmxEvent(form, 'htmx:beforeRequest', { requestConfig: { parameters: { title: 'First' } } });
+    expect(form.title).toBe('First');
+    triggerHtmxEvent(form, 'htmx:afterSwap');
+
+    triggerHtmxEvent(form, 'htmx:confirm', { issueRequest: vi.fn() });
+    expect(form.title).toBe('Second');
+    await new Promise(r => setTimeout(r, 20));
+  });
+
+  describe('${param:name}, ${path} and ${verb}', () => {
+    it('reads the request htmx built', async () => {
+      const button = createOptimisticElement(
+        '<button hx-post="/api/cart" hx-ext="optimistic">Add</button>',
+        { values: { textContent: '${verb} ${path}: ${param:qty} × ${param:sku} = ${param:qty * 2}' } }
+      );
+      created.push(button);
+      const requestConfig = { verb: 'post', path: '/api/cart?ref=1', parameters: { sku: 'A-1', qty: '3' } };
+      expect(await apply(button, { requestConfig })).toBe('post /api/cart?ref=1: 3 × A-1 = 6');
+    });
+
+    it('lets submitted fields named path or verb keep their value', async () => {
+      const form = createForm(
+        '<input name="path" value="/home/me/file.txt">',
+        { values: { textContent: 'Saving ${path} via ${verb}' } }
+      );
+      expect(await apply(form, { requestConfig: { verb: 'post', path: '/api/save' } })).toBe('Saving /home/me/file.txt via post');
+    });
+
+    it('iterates multi-valued parameters', async () => {
+      const button = createOptimisticElement(
+        '<button hx-post="/api/tags" hx-ext="optimistic">Tag</button>',
+        { template: '{{#each param:tags}}#${item} {{/each}}{{#if param:notify}}🔔{{/if}}' }
+      );
+      created.push(button);
+      expect(await apply(button, { requestConfig: { parameters: { tags: ['a', 'b'] } } })).toBe('#a #b ');
+    });
+
+    it('falls back to the element when the request has not been built', () => {
+      const row = createOptimisticElement(
+        `<div hx-delete="/api/items/7" hx-ext="optimistic" hx-vals='{"soft": true}'>Item</div>`,
+        { values: { textContent: '${verb} ${path} soft=${param:soft}' }, undo: 10 }
+      );
+      created.push(row);
+      triggerHtmxEvent(row, 'htmx:confirm', { issueRequest: vi.fn() });
+      expect(row.textContent).toBe('delete /api/items/7 soft=true');
+    });
+
+    it('leaves missing parameters as written without a warning', async () => {
+      const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const button = createOptimisticElement(
+        '<button hx-post="/api/save" hx-ext="optimistic">Save</button>',
+        { values: { textContent: '${param:missing} ${param:note | default:"none"}' } }
+      );
+      created.push(button);
+      expect(await apply(button, { requestConfig: { parameters: {} } })).toBe('${param:missing} none');
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { triggerHtmxEvent, createMockXhr } from '../helpers/test-utils.js';
+
+describe('Stacked optimistic layers', () => {
+  let container;
+
+  function setup(config = {}) {
+    container = document.createElement('div');
+    container.innerHTML = `
+      <ul id="todos"><li>Existing</li></ul>
+      <button class="a" hx-post="/api/todos" hx-target="#todos" hx-ext="optimistic">A</button>
+      <button class="b" hx-post="/api/todos" hx-target="#todos" hx-ext="optimistic">B</button>
+    `;
+    document.body.appendChild(container);
+    const a = container.querySelector('.a');
+    const b = container.querySelector('.b');
+    const base = { swap: 'beforeend', errorMessage: 'Failed', errorMode: 'append', delay: 10, ...config };
+    a.setAttribute('data-optimistic', JSON.stringify({ ...base, template: '<li>A</li>' }));
+    b.setAttribute('data-optimistic', JSON.stringify({ ...base, template: '<li>B</li>' }));
+    return { a, b, list: container.querySelector('#todos') };
+  }
+
+  const items = (list) => Array.from(list.children).map((li) => li.textContent);
+  const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+  afterEach(() => {
+    if (container && container.parentNode) container.remove();
+  });
+
+  it('rebases newer layers when an older request fails', () => {
+    const { a, b, list } = setup();
+    const xhrA = createMockXhr(500, 'Error');
+    const xhrB = createMockXhr(204);
+
+    triggerHtmxEvent(a, 'htmx:beforeRequest', { xhr: xhrA });
+    triggerHtmxEvent(b, 'htmx:beforeRequest', { xhr: xhrB });
+    expect(items(list)).toEqual(['Existing', 'A', 'B']);
+
+    triggerHtmxEvent(a, 'htmx:responseError', { xhr: xhrA });
+    expect(items(list)).toEqual(['Existing', 'B']);
+    expect(list.classList.contains('hx-optimistic')).toBe(true);
+    expect(global.htmx.optimistic.isPending(list)).toBe(true);
+    expect(global.htmx.trigger).toHaveBeenCalledWith(list, 'optimistic:reverted', expect.any(Object));
+
+    triggerHtmxEvent(b, 'htmx:afterRequest', { xhr: xhrB, successful: true });
+    expect(items(list)).toEqual(['Existing', 'B']);
+    expect(list.classList.contains('hx-optimistic')).toBe(false);
+    expect(global.htmx.optimistic.isPending(list)).toBe(false);
+  });
+
+  it('reverting the newest layer leaves older pending layers in place', async () => {
+    const { a, b, list } = setup();
+    const xhrA = createMockXhr(500, 'Error');
+    const xhrB = createMockXhr(500, 'Error');
+
+    triggerHtmxEvent(a, 'htmx:beforeRequest', { xhr: xhrA });
+    triggerHtmxEvent(b, 'htmx:beforeRequest', { xhr: xhrB });
+    triggerHtmxEvent(b, 'htmx:responseError', { xhr: xhrB });
+    await wait(30);
+
+    expect(items(list)).toEqual(['Existing', 'A']);
+    expect(list.classList.contains('hx-optimistic')).toBe(true);
+
+    triggerHtmxEvent(a, 'htmx:responseError', { xhr: xhrA });
+    await wait(30);
+    expect(items(list)).toEqual(['Existing']);
+    expect(global.htmx.optimistic.isPending(list)).toBe(false);
+  });
+
+  it('keeps a confirmed older layer when the newer one fails', async () => {
+    const { a, b, list } = setup();
+    const xhrA = createMockXhr(204);
+    const xhrB = createMockXhr(500, 'Error');
+
+    triggerHtmxEvent(a, 'htmx:beforeRequest', { xhr: xhrA });
+    triggerHtmxEvent(b, 'htmx:beforeRequest', { xhr: xhrB });
+    triggerHtmxEvent(a, 'htmx:afterRequest', { xhr: xhrA, successful: true });
+    expect(global.htmx.optimistic.isPending(list)).toBe(true);
+
+    triggerHtmxEvent(b, 'htmx:responseError', { xhr: xhrB });
+    await wait(30);
+
+    expect(items(list)).toEqual(['Existing', 'A']);
+    expect(list.classList.contains('hx-optimistic')).toBe(false);
+    expect(global.htmx.optimistic.isPending(list)).toBe(false);
+  });
+
+  describe('an older request failing beneath a newer one', () => {
+    const requestConfig = { verb: 'post', path: '/api/todos', parameters: {} };
+
+    afterEach(() => {
+      delete global.htmx.ajax;
+    });
+
+    it('retries without unwinding its layer', async () => {
+      global.htmx.ajax = vi.fn();
+      const { a, b, list } = setup({ retry: { attempts: 1, delay: 5 } });
+      const xhrA = createMockXhr(0);
+
+      triggerHtmxEvent(a, 'htmx:beforeRequest', { xhr: xhrA, requestConfig });
+      triggerHtmxEvent(b, 'htmx:beforeRequest', { xhr: createMockXhr(204), requestConfig });
+      triggerHtmxEvent(a, 'htmx:sendError', { xhr: xhrA });
+      expect(items(list)).toEqual(['Existing', 'A', 'B']);
+      expect(global.htmx.trigger).not.toHaveBeenCalledWith(list, 'optimistic:reverted', expect.any(Object));
+
+      await wait(20);
+      expect(global.htmx.ajax).toHaveBeenCalledWith('post', '/api/todos', expect.objectContaining({ source: a, target: list }));
+
+      // The retried request is tracked against A's layer, not B's
+      const retryXhr = createMockXhr(204);
+      triggerHtmxEvent(a, 'htmx:beforeRequest', { xhr: retryXhr, requestConfig });
+      triggerHtmxEvent(a, 'htmx:afterRequest', { xhr: retryXhr, successful: true });
+      expect(global.htmx.optimistic.isPending(list)).toBe(true);
+    });
+
+    it('is queued when offline', async () => {
+      const storage = { entries: [], load() { return this.entries; }, save(next) { this.entries = next; } };
+      global.htmx.optimistic.setQueueStorage(storage);
+      const { a, b, list } = setup({ offline: true });
+      const xhrA = createMockXhr(0);
+
+      triggerHtmxEvent(a, 'htmx:beforeRequest', { xhr: xhrA, requestConfig });
+      triggerHtmxEvent(b, 'htmx:beforeRequest', { xhr: createMockXhr(204), requestConfig });
+      triggerHtmxEvent(a, 'htmx:sendError', { xhr: xhrA });
+      await wait(20);
+
+      expect(items(list)).toEqual(['Existing', 'A', 'B']);
+      expect(storage.entries).toEqual([expect.objectContaining({ path: '/api/todos' })]);
+      expect(global.htmx.trigger).toHaveBeenCalledWith(list, 'optimistic:queued', expect.any(Object));
+      expect(list.classList.contains('hx-optimistic-queued')).toBe(false);
+    });
+  });
+
+  describe('when both requests fail', () => {
+    function setupCounter(config) {
+      container = document.createElement('div');
+      container.innerHTML = `
+        <span id="count">0</span>
+        <button class="a" hx-post="/api/count" hx-target="#count" hx-ext="optimistic">A</button>
+        <button class="b" hx-post="/api/count" hx-target="#count" hx-ext="optimistic">B</button>
+      `;
+      document.body.appendChild(container);
+      const a = container.querySelector('.a');
+      const b = container.querySelector('.b');
+      a.setAttribute('data-optimistic', JSON.stringify({ values: { textContent: '1' }, errorMessage: 'Request failed', ...config }));
+      b.setAttribute('data-optimistic', JSON.stringify({ values: { textContent: '2' }, errorMessage: 'Request failed', ...config }));
+      return { a, b, count: container.querySelector('#count') };
+    }
+
+    it.each([10, 0])('does not replay the newer failed layer when the older one fails (delay %i)', async (delay) => {
+      const { a, b, count } = setupCounter({ delay });
+      const xhrA = createMockXhr(500, 'Error');
+      const xhrB = createMockXhr(500, 'Error');
+
+      triggerHtmxEvent(a, 'htmx:beforeRequest', { xhr: xhrA });
+      triggerHtmxEvent(b, 'htmx:beforeRequest', { xhr: xhrB });
+      triggerHtmxEvent(b, 'htmx:responseError', { xhr: xhrB });
+      expect(count.textContent).toBe('Request failed');
+
+      triggerHtmxEvent(a, 'htmx:responseError', { xhr: xhrA });
+      await wait(30);
+      expect(count.textContent).toBe('0');
+      expect(count.classList.contains('hx-optimistic-error')).toBe(false);
+      expect(global.htmx.optimistic.isPending(count)).toBe(false);
+    });
+
+    it('reverts the newer error to the older confirmed value', async () => {
+      const { a, b, count } = setupCounter({ delay: 10 });
+      const xhrA = createMockXhr(204);
+      const xhrB = createMockXhr(500, 'Error');
+
+      triggerHtmxEvent(a, 'htmx:beforeRequest', { xhr: xhrA });
+      triggerHtmxEvent(b, 'htmx:beforeRequest', { xhr: xhrB });
+      triggerHtmxEvent(b, 'htmx:responseError', { xhr: xhrB });
+      triggerHtmxEvent(a, 'htmx:afterRequest', { xhr: xhrA, successful: true });
+      expect(count.textContent).toBe('Request failed');
+
+      await wait(30);
+      expect(count.textContent).toBe('1');
+      expect(count.classList.contains('hx-optimistic-error')).toBe(false);
+      expect(global.htmx.optimistic.isPending(count)).toBe(false);
+    });
+  });
+
+  it('ignores an error from a layer that a swapped response dropped', () => {
+    const { a, b, list } = setup();
+    const xhrA = createMockXhr(200);
+    const xhrB = createMockXhr(500, 'Error');
+
+    triggerHtmxEvent(a, 'htmx:beforeRequest', { xhr: xhrA });
+    triggerHtmxEvent(b, 'htmx:beforeRequest', { xhr: xhrB });
+    triggerHtmxEvent(a, 'htmx:beforeSwap', { xhr: xhrA, target: list, shouldSwap: true });
+    list.innerHTML = '<li>Existing</li><li>A (saved)</li>';
+    triggerHtmxEvent(list, 'htmx:afterSwap', { xhr: xhrA });
+
+    triggerHtmxEvent(b, 'htmx:responseError', { xhr: xhrB });
+    expect(items(list)).toEqual(['Existing', 'A (saved)']);
+    expect(list.classList.contains('hx-optimistic-error')).toBe(false);
+  });
+
+  it('removes every layer preview before a real response is swapped in', () => {
+    const { a, b, list } = setup();
+    const xhrB = createMockXhr(200);
+
+    triggerHtmxEvent(a, 'htmx:beforeRequest', { xhr: createMockXhr(200) });
+    triggerHtmxEvent(b, 'htmx:beforeRequest', { xhr: xhrB });
+    triggerHtmxEvent(b, 'htmx:beforeSwap', { xhr: xhrB, target: list, shouldSwap: true });
+
+    expect(items(list)).toEqual(['Existing']);
+  });
+});
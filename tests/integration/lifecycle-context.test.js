@@ -83,6 +83,33 @@ describe('Lifecycle and Context', () => {
     expect(el2.innerHTML.startsWith('<span>B</span>')).toBe(true);
   });
 
+  it('removes only inserted nodes on revert for beforeend swaps', async () => {
+    const el = createOptimisticElement(
+      '<ul hx-post="/api/test" hx-ext="optimistic"><li class="first">A</li></ul>',
+      { template: '<li class="optimistic">B</li>', swap: 'beforeend', errorMessage: 'E', errorMode: 'append', delay: 10 }
+    );
+    const first = el.querySelector('.first');
+    let clicks = 0;
+    first.addEventListener('click', () => clicks++);
+
+    triggerHtmxEvent(el, 'htmx:beforeRequest');
+    await nextTick();
+    expect(el.querySelector('.optimistic')).toBeTruthy();
+
+    const concurrent = document.createElement('li');
+    concurrent.className = 'concurrent';
+    el.appendChild(concurrent);
+
+    triggerHtmxEvent(el, 'htmx:responseError', { xhr: { status: 500, statusText: 'E' }, elt: el });
+    await new Promise(r => setTimeout(r, 30));
+
+    expect(el.querySelector('.optimistic')).toBeNull();
+    expect(el.querySelector('.concurrent')).toBeTruthy();
+    expect(el.querySelector('.first')).toBe(first);
+    first.click();
+    expect(clicks).toBe(1);
+  });
+
   it('removes custom optimistic class on success', async () => {
     const el = createOptimisticElement(
       '<button hx-post="/api/test" hx-ext="optimistic">X</button>',
@@ -0,0 +1,81 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+describe('Multi-target updates', () => {
+  let container;
+
+  function setup(config) {
+    container = document.createElement('div');
+    container.innerHTML = `
+      <header><span class="like-count">3</span></header>
+      <button hx-post="/api/like" hx-ext="optimistic">Like</button>
+      <ul class="feed"><li>Older activity</li></ul>
+    `;
+    document.body.appendChild(container);
+    const button = container.querySelector('button');
+    button.setAttribute('data-optimistic', JSON.stringify(config));
+    return button;
+  }
+
+  afterEach(() => {
+    if (container && container.parentNode) container.remove();
+  });
+
+  it('applies every update spec on beforeRequest', async () => {
+    const button = setup({
+      updates: [
+        { target: '.like-count', values: { textContent: '4' } },
+        { values: { textContent: 'Liked' } },
+        { target: '.feed', template: '<li>You liked this</li>', swap: 'afterbegin' }
+      ]
+    });
+
+    triggerHtmxEvent(button, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(container.querySelector('.like-count').textContent).toBe('4');
+    expect(button.textContent).toBe('Liked');
+    expect(container.querySelector('.feed').firstElementChild.textContent).toBe('You liked this');
+    expect(container.querySelector('.like-count').classList.contains('hx-optimistic')).toBe(true);
+    expect(container.querySelector('.feed').classList.contains('hx-optimistic')).toBe(true);
+  });
+
+  it('accepts a top-level array of update specs', async () => {
+    const button = setup([
+      { target: '.like-count', values: { textContent: '4' } },
+      { values: { textContent: 'Liked' } }
+    ]);
+
+    triggerHtmxEvent(button, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(container.querySelector('.like-count').textContent).toBe('4');
+    expect(button.textContent).toBe('Liked');
+  });
+
+  it('reverts all specs together with a single event pair', async () => {
+    const button = setup({
+      updates: [
+        { target: '.like-count', values: { textContent: '4' } },
+        { values: { textContent: 'Liked' } },
+        { target: '.feed', template: '<li>You liked this</li>', swap: 'afterbegin' }
+      ],
+      errorMessage: 'Failed',
+      delay: 20
+    });
+    const feedHTML = container.querySelector('.feed').innerHTML;
+
+    triggerHtmxEvent(button, 'htmx:beforeRequest');
+    await nextTick();
+    triggerHtmxEvent(button, 'htmx:responseError', { xhr: { status: 500, statusText: 'Error' } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(container.querySelector('.like-count').textContent).toBe('3');
+    expect(button.textContent).toBe('Like');
+    expect(container.querySelector('.feed').innerHTML).toBe(feedHTML);
+
+    const eventNames = global.htmx.trigger.mock.calls.map(([, name]) => name);
+    expect(eventNames.filter((name) => name === 'optimistic:applied')).toHaveLength(1);
+    expect(eventNames.filter((name) => name === 'optimistic:reverted')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createOptimisticElement, triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+describe('Offline queue', () => {
+  let storage;
+  let online;
+
+  function createMemoryStorage(entries = []) {
+    return {
+      entries,
+      load() { return this.entries; },
+      save(next) { this.entries = next; }
+    };
+  }
+
+  function setup(id = 'like', path = '/api/like') {
+    const el = createOptimisticElement(
+      `<button id="${id}" hx-post="${path}" hx-ext="optimistic">Like</button>`,
+      { values: { textContent: 'Liked' }, errorMessage: 'Failed', delay: 10, offline: true }
+    );
+    return el;
+  }
+
+  function request(el, path = '/api/like') {
+    return triggerHtmxEvent(el, 'htmx:beforeRequest', {
+      requestConfig: { verb: 'post', path, parameters: { id: el.id }, headers: { 'HX-Request': 'true', 'X-CSRF-Token': 'secret' } }
+    });
+  }
+
+  beforeEach(() => {
+    online = true;
+    Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+    storage = createMemoryStorage();
+    global.htmx.optimistic.setQueueStorage(storage);
+    global.htmx.ajax = vi.fn(() => Promise.resolve());
+  });
+
+  afterEach(() => {
+    delete navigator.onLine;
+    delete global.htmx.ajax;
+  });
+
+  it('queues the request instead of sending it while offline', async () => {
+    online = false;
+    const el = setup();
+    const evt = request(el);
+    await nextTick();
+
+    expect(evt.defaultPrevented).toBe(true);
+    expect(el.textContent).toBe('Liked');
+    expect(el.classList.contains('hx-optimistic-queued')).toBe(true);
+    expect(storage.entries).toEqual([
+      expect.objectContaining({ page: '/', verb: 'post', path: '/api/like', parameters: { id: 'like' }, source: '[id="like"]', target: '[id="like"]' })
+    ]);
+    expect(storage.entries[0]).not.toHaveProperty('headers');
+    expect(global.htmx.trigger).toHaveBeenCalledWith(el, 'optimistic:queued', expect.objectContaining({ entry: storage.entries[0] }));
+  });
+
+  it('queues on sendError instead of reverting', async () => {
+    const el = setup();
+    request(el);
+    await nextTick();
+
+    triggerHtmxEvent(el, 'htmx:sendError', { xhr: { status: 0 } });
+    await new Promise(r => setTimeout(r, 30));
+
+    expect(el.textContent).toBe('Liked');
+    expect(el.classList.contains('hx-optimistic-error')).toBe(false);
+    expect(storage.entries).toHaveLength(1);
+  });
+
+  it('replays queued requests in order when connectivity returns', async () => {
+    online = false;
+    const first = setup('first', '/api/first');
+    const second = setup('second', '/api/second');
+    request(first, '/api/first');
+    request(second, '/api/second');
+    await nextTick();
+
+    online = true;
+    global.htmx.ajax.mockImplementation((verb, path, context) => {
+      request(context.source, path);
+      triggerHtmxEvent(context.source, 'htmx:afterSwap');
+      return Promise.resolve();
+    });
+    window.dispatchEvent(new Event('online'));
+    await new Promise(r => setTimeout(r, 10));
+
+    expect(global.htmx.ajax.mock.calls.map(([, path]) => path)).toEqual(['/api/first', '/api/second']);
+    expect(global.htmx.ajax).toHaveBeenCalledWith('post', '/api/first', expect.objectContaining({ source: first, target: first, values: { id: 'first' } }));
+    expect(storage.entries).toEqual([]);
+    const applied = global.htmx.trigger.mock.calls.filter(([, name]) => name === 'optimistic:applied');
+    expect(applied).toHaveLength(2);
+    expect(first.classList.contains('hx-optimistic-queued')).toBe(false);
+  });
+
+  it('reverts the target when the replayed request fails', async () => {
+    online = false;
+    const el = setup();
+    request(el);
+    await nextTick();
+
+    online = true;
+    global.htmx.ajax.mockImplementation((verb, path, context) => {
+      request(context.source);
+      triggerHtmxEvent(context.source, 'htmx:responseError', { xhr: { status: 500, statusText: 'Error' } });
+      return Promise.resolve();
+    });
+    await global.htmx.optimistic.replayQueue();
+
+    expect(el.textContent).toBe('Failed');
+    expect(storage.entries).toEqual([]);
+    await new Promise(r => setTimeout(r, 30));
+    expect(el.textContent).toBe('Like');
+  });
+
+  it('keeps the queue and stops replaying when the connection drops again', async () => {
+    online = false;
+    const first = setup('first', '/api/first');
+    const second = setup('second', '/api/second');
+    request(first, '/api/first');
+    request(second, '/api/second');
+    await nextTick();
+
+    online = true;
+    global.htmx.ajax.mockImplementation((verb, path, context) => {
+      request(context.source, path);
+      triggerHtmxEvent(context.source, 'htmx:sendError', { xhr: { status: 0 } });
+      return Promise.resolve();
+    });
+    await global.htmx.optimistic.replayQueue();
+
+    expect(global.htmx.ajax).toHaveBeenCalledTimes(1);
+    expect(storage.entries.map(entry => entry.path)).toEqual(['/api/first', '/api/second']);
+    expect(first.textContent).toBe('Liked');
+  });
+
+  it('replays entries persisted by an earlier load of the same page', async () => {
+    const el = setup();
+    const persisted = createMemoryStorage([
+      { id: '1', page: '/', verb: 'post', path: '/api/like', parameters: { id: 'like' }, source: '[id="like"]', target: '[id="like"]' },
+      { id: '2', page: '/', verb: 'delete', path: '/api/gone', parameters: {}, source: '[id="gone"]', target: '[id="gone"]' }
+    ]);
+    global.htmx.optimistic.setQueueStorage(persisted);
+
+    await global.htmx.optimistic.replayQueue();
+
+    expect(global.htmx.ajax).toHaveBeenCalledTimes(1);
+    expect(global.htmx.ajax).toHaveBeenCalledWith('post', '/api/like', { source: el, target: el, values: { id: 'like' } });
+    expect(persisted.entries.map(entry => entry.id)).toEqual(['2']);
+    el.remove();
+  });
+
+  it('leaves entries from other pages, or without an optimistic element, queued', async () => {
+    const el = setup();
+    const plain = createOptimisticElement('<button id="plain" hx-post="/api/plain">Plain</button>');
+    const persisted = createMemoryStorage([
+      { id: '1', page: '/settings', verb: 'post', path: '/api/like', parameters: {}, source: '[id="like"]', target: '[id="like"]' },
+      { id: '2', page: '/', verb: 'post', path: '/api/plain', parameters: {}, source: '[id="plain"]', target: '[id="plain"]' }
+    ]);
+    global.htmx.optimistic.setQueueStorage(persisted);
+
+    await global.htmx.optimistic.replayQueue();
+
+    expect(global.htmx.ajax).not.toHaveBeenCalled();
+    expect(persisted.entries.map(entry => entry.id)).toEqual(['1', '2']);
+    el.remove();
+    plain.remove();
+  });
+
+  it('warns about storage adapters without load and save', () => {
+    const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    global.htmx.optimistic.setQueueStorage({});
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('Queue storage'));
+    spy.mockRestore();
+  });
+});
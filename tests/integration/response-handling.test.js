@@ -0,0 +1,316 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createOptimisticElement, triggerHtmxEvent, nextTick, createMockXhr } from '../helpers/test-utils.js';
+
+describe('Response handling', () => {
+  let element;
+
+  afterEach(() => {
+    if (element && element.parentNode) element.remove();
+  });
+
+  describe('Successful responses without a swap', () => {
+    it('clears optimistic state after a 204', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/test" hx-ext="optimistic">Like</button>',
+        { values: { textContent: 'Liked' } }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(204, 'No Content');
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: false });
+      triggerHtmxEvent(element, 'htmx:afterRequest', { target: element, xhr, successful: true });
+
+      expect(element.classList.contains('hx-optimistic')).toBe(false);
+      expect(element.textContent).toBe('Liked');
+    });
+
+    it('clears optimistic state when hx-swap is none', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/test" hx-ext="optimistic" hx-swap="none">Like</button>',
+        { values: { textContent: 'Liked' } }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(200);
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: true });
+      triggerHtmxEvent(element, 'htmx:afterRequest', { target: element, xhr, successful: true });
+
+      expect(element.classList.contains('hx-optimistic')).toBe(false);
+    });
+
+    it('clears optimistic state when HX-Reswap is none', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/test" hx-ext="optimistic">Like</button>',
+        { values: { textContent: 'Liked' } }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(200, 'OK', '', { 'HX-Reswap': 'none' });
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: true });
+      triggerHtmxEvent(element, 'htmx:afterOnLoad', { target: element, xhr, successful: true });
+
+      expect(element.classList.contains('hx-optimistic')).toBe(false);
+    });
+
+    it('clears optimistic state when beforeSwap is cancelled', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/test" hx-ext="optimistic">Like</button>',
+        { values: { textContent: 'Liked' } }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(200);
+      element.addEventListener('htmx:beforeSwap', (e) => e.preventDefault(), { once: true });
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: true });
+      triggerHtmxEvent(element, 'htmx:afterRequest', { target: element, xhr, successful: true });
+
+      expect(element.classList.contains('hx-optimistic')).toBe(false);
+    });
+
+    it('waits for afterSwap when a swap is still pending', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/test" hx-ext="optimistic">Like</button>',
+        { values: { textContent: 'Liked' } }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(200);
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: true });
+      triggerHtmxEvent(element, 'htmx:afterRequest', { target: element, xhr, successful: true });
+      expect(element.classList.contains('hx-optimistic')).toBe(true);
+
+      triggerHtmxEvent(element, 'htmx:afterSwap');
+      expect(element.classList.contains('hx-optimistic')).toBe(false);
+    });
+
+    it('ignores failed requests', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/test" hx-ext="optimistic">Like</button>',
+        { values: { textContent: 'Liked' }, delay: 0 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      triggerHtmxEvent(element, 'htmx:afterRequest', { target: element, xhr: createMockXhr(500, 'Server Error'), failed: true });
+      expect(element.classList.contains('hx-optimistic')).toBe(true);
+    });
+  });
+
+  describe('Commit mode', () => {
+    it('keeps the optimistic DOM and fires optimistic:committed on a 2xx response', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/like" hx-ext="optimistic">Like</button>',
+        { values: { textContent: 'Liked' }, commit: true }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(200, 'OK', '{"liked":true}');
+      const swapEvent = triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: true });
+      expect(swapEvent.detail.shouldSwap).toBe(false);
+
+      triggerHtmxEvent(element, 'htmx:afterRequest', { target: element, xhr, successful: true });
+      expect(element.textContent).toBe('Liked');
+      expect(element.classList.contains('hx-optimistic')).toBe(false);
+      expect(global.htmx.trigger).toHaveBeenCalledWith(element, 'optimistic:committed', expect.objectContaining({ config: expect.any(Object) }));
+    });
+
+    it('removes elements hidden by a delete preview once committed', async () => {
+      const list = document.createElement('ul');
+      list.innerHTML = '<li hx-delete="/api/item/1" hx-ext="optimistic">Item</li>';
+      document.body.appendChild(list);
+      element = list.querySelector('li');
+      element.setAttribute('data-optimistic', JSON.stringify({ swap: 'delete', commit: true }));
+
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+      const xhr = createMockXhr(204, 'No Content');
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: false });
+      triggerHtmxEvent(element, 'htmx:afterRequest', { target: element, xhr, successful: true });
+
+      expect(list.children.length).toBe(0);
+      list.remove();
+    });
+
+    it('still rolls back on error responses', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/like" hx-ext="optimistic">Like</button>',
+        { values: { textContent: 'Liked' }, commit: true, errorMessage: 'Failed', delay: 10 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(500, 'Server Error');
+      const swapEvent = triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: false });
+      expect(swapEvent.detail.shouldSwap).toBe(false);
+      triggerHtmxEvent(element, 'htmx:responseError', { xhr });
+      await new Promise(r => setTimeout(r, 30));
+
+      expect(element.textContent).toBe('Like');
+    });
+  });
+
+  describe('Response classification', () => {
+    it('treats statuses listed in failOn as failures', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/save" hx-ext="optimistic">Save</button>',
+        { values: { textContent: 'Saving' }, failOn: { status: [409] }, errorMessage: 'Conflict', delay: 10 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(409, 'Conflict', '<p>Someone else edited this</p>');
+      const swapEvent = triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: true });
+      expect(swapEvent.detail.shouldSwap).toBe(false);
+      expect(element.textContent).toBe('Conflict');
+
+      triggerHtmxEvent(element, 'htmx:afterRequest', { target: element, xhr, successful: true });
+      expect(element.classList.contains('hx-optimistic-error')).toBe(true);
+
+      await new Promise(r => setTimeout(r, 30));
+      expect(element.textContent).toBe('Save');
+    });
+
+    it('rolls back when the server sends HX-Optimistic: rollback', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/save" hx-ext="optimistic">Save</button>',
+        { values: { textContent: 'Saving' }, errorMessage: 'Rejected', delay: 0 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(200, 'OK', '', { 'HX-Optimistic': 'rollback' });
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: true });
+      expect(element.textContent).toBe('Rejected');
+    });
+
+    it('matches configured response headers', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/save" hx-ext="optimistic">Save</button>',
+        { values: { textContent: 'Saving' }, failOn: { header: 'X-Validation: failed' }, errorMessage: 'Invalid', delay: 0 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(200, 'OK', '', { 'X-Validation': 'FAILED' });
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: true });
+      expect(element.textContent).toBe('Invalid');
+    });
+
+    it('uses predicates registered from JS', async () => {
+      global.htmx.optimistic.registerPredicate('okFalse', (xhr) => JSON.parse(xhr.responseText).ok === false);
+      element = createOptimisticElement(
+        '<button hx-post="/api/save" hx-ext="optimistic">Save</button>',
+        { values: { textContent: 'Saving' }, failOn: { predicate: 'okFalse' }, errorMessage: 'Invalid', delay: 0 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr: createMockXhr(200, 'OK', '{"ok":true}'), shouldSwap: true });
+      expect(element.textContent).toBe('Saving');
+
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr: createMockXhr(200, 'OK', '{"ok":false}'), shouldSwap: true });
+      expect(element.textContent).toBe('Invalid');
+    });
+
+    it('treats statuses listed in successOn as success', async () => {
+      element = createOptimisticElement(
+        '<button hx-delete="/api/item" hx-ext="optimistic">Delete</button>',
+        { values: { textContent: 'Deleting' }, successOn: { status: [404] }, errorMessage: 'Failed', delay: 0 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(404, 'Not Found');
+      const swapEvent = triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: false, isError: true });
+      expect(swapEvent.detail.shouldSwap).toBe(true);
+      expect(swapEvent.detail.isError).toBe(false);
+
+      triggerHtmxEvent(element, 'htmx:afterSwap');
+      expect(element.classList.contains('hx-optimistic')).toBe(false);
+      expect(element.classList.contains('hx-optimistic-error')).toBe(false);
+    });
+  });
+
+  describe('Server-driven rollback headers', () => {
+    it('shows the HX-Optimistic-Error message', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/save" hx-ext="optimistic">Save</button>',
+        { values: { textContent: 'Saving' }, errorMessage: 'Failed', delay: 0 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(422, 'Unprocessable', '', { 'HX-Optimistic-Error': 'Title is required' });
+      triggerHtmxEvent(element, 'htmx:responseError', { xhr });
+      expect(element.textContent).toBe('Title is required');
+    });
+
+    it('passes HX-Optimistic-Error to error templates as ${error}', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/save" hx-ext="optimistic">Save</button>',
+        { values: { textContent: 'Saving' }, errorTemplate: '<em>${error}</em>', delay: 0 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(200, 'OK', '', { 'HX-Optimistic-Error': 'Quota exceeded' });
+      triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: true });
+      expect(element.innerHTML).toBe('<em>Quota exceeded</em>');
+    });
+
+    it('reverts without waiting for delay on HX-Optimistic-Revert: immediate', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/save" hx-ext="optimistic">Save</button>',
+        { values: { textContent: 'Saving' }, errorMessage: 'Failed', delay: 5000 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(500, 'Server Error', '', { 'HX-Optimistic-Revert': 'immediate' });
+      triggerHtmxEvent(element, 'htmx:responseError', { xhr });
+      expect(element.textContent).toBe('Save');
+      expect(element.classList.contains('hx-optimistic-error')).toBe(false);
+    });
+
+    it('keeps the optimistic state on an error response with HX-Optimistic-Keep', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/save" hx-ext="optimistic">Save</button>',
+        { values: { textContent: 'Saved' }, errorMessage: 'Failed', delay: 10 }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(500, 'Server Error', '', { 'HX-Optimistic-Keep': 'true' });
+      triggerHtmxEvent(element, 'htmx:responseError', { xhr });
+      await new Promise(r => setTimeout(r, 30));
+
+      expect(element.textContent).toBe('Saved');
+      expect(element.classList.contains('hx-optimistic')).toBe(false);
+      expect(element.classList.contains('hx-optimistic-error')).toBe(false);
+      expect(global.htmx.trigger).toHaveBeenCalledWith(element, 'optimistic:committed', expect.any(Object));
+    });
+
+    it('commits instead of swapping on a success response with HX-Optimistic-Keep', async () => {
+      element = createOptimisticElement(
+        '<button hx-post="/api/save" hx-ext="optimistic">Save</button>',
+        { values: { textContent: 'Saved' } }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+
+      const xhr = createMockXhr(200, 'OK', '<b>ignored</b>', { 'HX-Optimistic-Keep': '1' });
+      const swapEvent = triggerHtmxEvent(element, 'htmx:beforeSwap', { target: element, xhr, shouldSwap: true });
+      expect(swapEvent.detail.shouldSwap).toBe(false);
+      triggerHtmxEvent(element, 'htmx:afterRequest', { target: element, xhr, successful: true });
+
+      expect(element.textContent).toBe('Saved');
+      expect(global.htmx.trigger).toHaveBeenCalledWith(element, 'optimistic:committed', expect.any(Object));
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createOptimisticElement, triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+describe('Retry with backoff', () => {
+  const requestConfig = { verb: 'post', path: '/api/test', parameters: { id: '1' }, headers: { 'HX-Request': 'true' } };
+
+  beforeEach(() => {
+    global.htmx.ajax = vi.fn();
+  });
+
+  afterEach(() => {
+    delete global.htmx.ajax;
+  });
+
+  function setup(retry) {
+    const el = createOptimisticElement(
+      '<button hx-post="/api/test" hx-ext="optimistic">Like</button>',
+      { values: { textContent: 'Liked' }, errorMessage: 'Failed', delay: 10, retry }
+    );
+    triggerHtmxEvent(el, 'htmx:beforeRequest', { requestConfig });
+    return el;
+  }
+
+  it('keeps the optimistic state and re-issues the request after a network error', async () => {
+    const el = setup({ attempts: 2, delay: 5 });
+    await nextTick();
+
+    triggerHtmxEvent(el, 'htmx:sendError', { xhr: { status: 0 } });
+    expect(el.textContent).toBe('Liked');
+    expect(el.classList.contains('hx-optimistic-retrying')).toBe(true);
+    expect(global.htmx.trigger).toHaveBeenCalledWith(el, 'optimistic:retry', expect.objectContaining({ attempt: 1, delay: 5 }));
+
+    await new Promise(r => setTimeout(r, 20));
+    expect(global.htmx.ajax).toHaveBeenCalledWith('post', '/api/test', expect.objectContaining({
+      source: el,
+      target: el,
+      values: { id: '1' }
+    }));
+  });
+
+  it('does not re-apply the optimistic update for the retried request', async () => {
+    const el = setup({ attempts: 2, delay: 5 });
+    await nextTick();
+    triggerHtmxEvent(el, 'htmx:timeout', { xhr: { status: 0 } });
+    await new Promise(r => setTimeout(r, 20));
+
+    triggerHtmxEvent(el, 'htmx:beforeRequest', { requestConfig });
+    const applied = global.htmx.trigger.mock.calls.filter(([, name]) => name === 'optimistic:applied');
+    expect(applied).toHaveLength(1);
+
+    triggerHtmxEvent(el, 'htmx:afterSwap');
+    expect(el.classList.contains('hx-optimistic')).toBe(false);
+    expect(el.classList.contains('hx-optimistic-retrying')).toBe(false);
+  });
+
+  it('reverts once retries are exhausted', async () => {
+    const el = setup({ attempts: 1, delay: 5 });
+    await nextTick();
+
+    triggerHtmxEvent(el, 'htmx:responseError', { xhr: { status: 503, statusText: 'Unavailable' } });
+    await new Promise(r => setTimeout(r, 20));
+    triggerHtmxEvent(el, 'htmx:beforeRequest', { requestConfig });
+    triggerHtmxEvent(el, 'htmx:responseError', { xhr: { status: 503, statusText: 'Unavailable' } });
+    expect(el.textContent).toBe('Failed');
+
+    await new Promise(r => setTimeout(r, 30));
+    expect(el.textContent).toBe('Like');
+    expect(global.htmx.ajax).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry statuses outside the retryable list', async () => {
+    const el = setup({ attempts: 3, delay: 5 });
+    await nextTick();
+
+    triggerHtmxEvent(el, 'htmx:responseError', { xhr: { status: 422, statusText: 'Invalid' } });
+    expect(el.textContent).toBe('Failed');
+    await new Promise(r => setTimeout(r, 30));
+    expect(global.htmx.ajax).not.toHaveBeenCalled();
+  });
+
+  it('ignores afterRequest for the attempt that is being retried', async () => {
+    const el = setup({ attempts: 2, delay: 5 });
+    await nextTick();
+
+    triggerHtmxEvent(el, 'htmx:sendError', { xhr: { status: 0 } });
+    triggerHtmxEvent(el, 'htmx:afterRequest', { successful: false, failed: true, xhr: { status: 0 } });
+    expect(el.classList.contains('hx-optimistic-retrying')).toBe(true);
+    expect(el.textContent).toBe('Liked');
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createOptimisticElement, triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+describe('Swap modes', () => {
+  let container;
+
+  function setup(html, config) {
+    container = document.createElement('div');
+    container.innerHTML = html;
+    document.body.appendChild(container);
+    const source = container.querySelector('[hx-post]');
+    source.setAttribute('data-optimistic', JSON.stringify(config));
+    return source;
+  }
+
+  async function failAndRevert(source) {
+    triggerHtmxEvent(source, 'htmx:responseError', { xhr: { status: 500, statusText: 'E' } });
+    await new Promise(r => setTimeout(r, 30));
+  }
+
+  afterEach(() => {
+    if (container && container.parentNode) container.remove();
+  });
+
+  it('outerHTML shows the template in place of the target and restores the original element', async () => {
+    const card = setup(
+      '<div class="card" hx-post="/api/test" hx-ext="optimistic">Offline</div>',
+      { template: '<div class="card next">Online</div>', swap: 'outerHTML', errorMessage: 'E', errorMode: 'append', delay: 10 }
+    );
+    let clicks = 0;
+    card.addEventListener('click', () => clicks++);
+
+    triggerHtmxEvent(card, 'htmx:beforeRequest');
+    await nextTick();
+    expect(container.querySelector('.next').textContent).toBe('Online');
+    expect(card.style.display).toBe('none');
+
+    await failAndRevert(card);
+    expect(container.querySelector('.next')).toBeNull();
+    expect(container.firstElementChild).toBe(card);
+    expect(card.hasAttribute('style')).toBe(false);
+    card.click();
+    expect(clicks).toBe(1);
+  });
+
+  it('beforebegin and afterend insert siblings and remove them on revert', async () => {
+    const item = setup(
+      '<ul><li class="item" hx-post="/api/test" hx-ext="optimistic">B</li></ul>',
+      {
+        updates: [
+          { template: '<li class="before">A</li>', swap: 'beforebegin' },
+          { template: '<li class="after">C</li>', swap: 'afterend' }
+        ],
+        errorMessage: 'E',
+        errorMode: 'append',
+        delay: 10
+      }
+    );
+
+    triggerHtmxEvent(item, 'htmx:beforeRequest');
+    await nextTick();
+    expect(Array.from(container.querySelectorAll('li')).map(li => li.textContent)).toEqual(['A', 'B', 'C']);
+
+    await failAndRevert(item);
+    expect(Array.from(container.querySelectorAll('li')).map(li => li.textContent)).toEqual(['B']);
+  });
+
+  it('shows a replace-mode error in the inserted nodes and keeps the original ones on revert', async () => {
+    const list = setup(
+      '<ul hx-post="/api/todos" hx-ext="optimistic"><li class="existing">Existing</li></ul>',
+      { template: '<li>New</li>', swap: 'beforeend', errorMessage: 'Could not add', delay: 10 }
+    );
+    const existing = list.querySelector('.existing');
+
+    triggerHtmxEvent(list, 'htmx:beforeRequest');
+    await nextTick();
+    triggerHtmxEvent(list, 'htmx:responseError', { xhr: { status: 500, statusText: 'E' } });
+    expect(Array.from(list.children).map(li => li.textContent)).toEqual(['Existing', 'Could not add']);
+
+    await new Promise(r => setTimeout(r, 30));
+    expect(Array.from(list.children).map(li => li.textContent)).toEqual(['Existing']);
+    expect(list.firstElementChild).toBe(existing);
+  });
+
+  it('delete hides the target until the request settles', async () => {
+    const row = setup(
+      '<div class="row" hx-post="/api/test" hx-ext="optimistic">Row</div>',
+      { swap: 'delete', errorMessage: 'Could not delete', delay: 10 }
+    );
+
+    triggerHtmxEvent(row, 'htmx:beforeRequest');
+    await nextTick();
+    expect(row.style.display).toBe('none');
+
+    triggerHtmxEvent(row, 'htmx:responseError', { xhr: { status: 500, statusText: 'E' } });
+    await nextTick();
+    expect(row.style.display).toBe('');
+    expect(row.textContent).toBe('Could not delete');
+
+    await new Promise(r => setTimeout(r, 30));
+    expect(row.textContent).toBe('Row');
+  });
+
+  it('none applies state classes without touching content', async () => {
+    const el = createOptimisticElement(
+      '<div hx-post="/api/test" hx-ext="optimistic">Keep</div>',
+      { template: '<b>Replaced</b>', swap: 'none' }
+    );
+
+    triggerHtmxEvent(el, 'htmx:beforeRequest');
+    await nextTick();
+    expect(el.innerHTML).toBe('Keep');
+    expect(el.classList.contains('hx-optimistic')).toBe(true);
+  });
+
+  it('removes the optimistic preview before the real response is swapped in', async () => {
+    const list = setup(
+      '<ul hx-post="/api/test" hx-ext="optimistic"><li>Existing</li></ul>',
+      { template: '<li class="preview">Mine</li>', swap: 'beforeend' }
+    );
+
+    triggerHtmxEvent(list, 'htmx:beforeRequest');
+    await nextTick();
+    expect(list.querySelector('.preview')).toBeTruthy();
+
+    triggerHtmxEvent(list, 'htmx:beforeSwap', { target: list, shouldSwap: true });
+    expect(list.querySelector('.preview')).toBeNull();
+    expect(list.textContent).toBe('Existing');
+  });
+
+  it('honours show and scroll modifiers', async () => {
+    const scrollIntoView = vi.fn();
+    Element.prototype.scrollIntoView = scrollIntoView;
+    const list = setup(
+      '<ul hx-post="/api/test" hx-ext="optimistic"><li>Existing</li></ul>',
+      { template: '<li>Mine</li>', swap: 'beforeend show:bottom scroll:bottom' }
+    );
+    Object.defineProperty(list, 'scrollHeight', { value: 480, configurable: true });
+
+    triggerHtmxEvent(list, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(scrollIntoView).toHaveBeenCalledWith(expect.objectContaining({ block: 'end' }));
+    expect(list.scrollTop).toBe(480);
+    delete Element.prototype.scrollIntoView;
+  });
+
+  describe('Inherited hx-swap', () => {
+    it('uses the element hx-swap when config.swap is omitted', async () => {
+      const list = setup(
+        '<ul hx-post="/api/test" hx-ext="optimistic" hx-swap="beforeend"><li>Existing</li></ul>',
+        { template: '<li>Mine</li>' }
+      );
+
+      triggerHtmxEvent(list, 'htmx:beforeRequest');
+      await nextTick();
+
+      expect(Array.from(list.children).map(li => li.textContent)).toEqual(['Existing', 'Mine']);
+    });
+
+    it('inherits hx-swap from an ancestor', async () => {
+      const list = setup(
+        '<section hx-swap="afterbegin scroll:top"><ul hx-post="/api/test" hx-ext="optimistic"><li>Existing</li></ul></section>',
+        { template: '<li>Mine</li>' }
+      );
+
+      triggerHtmxEvent(list, 'htmx:beforeRequest');
+      await nextTick();
+
+      expect(Array.from(list.children).map(li => li.textContent)).toEqual(['Mine', 'Existing']);
+    });
+
+    it('prefers config.swap over hx-swap', async () => {
+      const list = setup(
+        '<ul hx-post="/api/test" hx-ext="optimistic" hx-swap="beforeend"><li>Existing</li></ul>',
+        { template: '<li>Mine</li>', swap: 'innerHTML' }
+      );
+
+      triggerHtmxEvent(list, 'htmx:beforeRequest');
+      await nextTick();
+
+      expect(list.innerHTML).toBe('<li>Mine</li>');
+    });
+
+    it('does not apply hx-swap to a separate config.target', async () => {
+      const button = setup(
+        '<div><span class="count">3</span><button hx-post="/api/test" hx-ext="optimistic" hx-swap="outerHTML">Like</button></div>',
+        { target: 'previous .count', template: '4' }
+      );
+
+      triggerHtmxEvent(button, 'htmx:beforeRequest');
+      await nextTick();
+
+      expect(container.querySelector('.count').textContent).toBe('4');
+      expect(container.querySelector('.count').style.display).toBe('');
+    });
+  });
+});
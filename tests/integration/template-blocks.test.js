@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createOptimisticElement, triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+describe('Template blocks', () => {
+  let element;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleWarnSpy.mockRestore();
+    element?.remove();
+  });
+
+  function createForm(fields, config) {
+    element = document.createElement('form');
+    element.setAttribute('hx-post', '/api/tags');
+    element.setAttribute('hx-ext', 'optimistic');
+    element.setAttribute('data-optimistic', JSON.stringify(config));
+    element.innerHTML = fields;
+    document.body.appendChild(element);
+    return element;
+  }
+
+  async function apply(elt = element) {
+    triggerHtmxEvent(elt, 'htmx:beforeRequest');
+    await nextTick();
+    return elt.innerHTML;
+  }
+
+  describe('{{#each}}', () => {
+    it('repeats over checked checkboxes', async () => {
+      createForm(
+        `<input type="checkbox" name="users" value="ada" checked>
+         <input type="checkbox" name="users" value="bob">
+         <input type="checkbox" name="users" value="cy" checked>`,
+        { template: '<ul>{{#each users}}<li>${index}: ${item}</li>{{/each}}</ul>' }
+      );
+      expect(await apply()).toBe('<ul><li>0: ada</li><li>1: cy</li></ul>');
+    });
+
+    it('repeats over multi-select options and name[] fields', async () => {
+      createForm(
+        `<select name="tags" multiple><option value="a" selected>A</option><option value="b">B</option><option value="c" selected>C</option></select>
+         <input name="emails[]" value="x@example.com"><input name="emails[]" value="">`,
+        { template: '{{#each tags}}[${item}]{{/each}} {{#each emails}}(${item}){{/each}}' }
+      );
+      expect(await apply()).toBe('[a][c] (x@example.com)');
+    });
+
+    it('iterates context arrays with a named item', async () => {
+      element = createOptimisticElement(
+        '<div hx-post="/api/test" hx-ext="optimistic"></div>',
+        {
+          template: '{{#each users as user}}<b>${user.name}</b>{{#each user.roles as role}}(${role}){{/each}}{{/each}}',
+          context: { users: [{ name: 'Ada', roles: ['admin', 'dev'] }, { name: 'Bob', roles: [] }] }
+        }
+      );
+      expect(await apply()).toBe('<b>Ada</b>(admin)(dev)<b>Bob</b>');
+    });
+
+    it('renders the {{else}} branch for an empty list', async () => {
+      createForm(
+        '<input type="checkbox" name="users" value="ada">',
+        { template: '{{#each users}}${item}{{else}}Nobody tagged{{/each}}' }
+      );
+      expect(await apply()).toBe('Nobody tagged');
+    });
+
+    it('escapes each item', async () => {
+      createForm(
+        '<input type="checkbox" name="users" value="<i>x</i>" checked>',
+        { template: '{{#each users}}${item}{{/each}}' }
+      );
+      expect(await apply()).toBe('&lt;i&gt;x&lt;/i&gt;');
+    });
+  });
+
+  describe('{{#if}}', () => {
+    it('switches on context flags', async () => {
+      element = createOptimisticElement(
+        '<div hx-post="/api/test" hx-ext="optimistic"></div>',
+        { template: '{{#if premium}}⭐ Pro{{else}}Free{{/if}}', context: { premium: true } }
+      );
+      expect(await apply()).toBe('⭐ Pro');
+
+      element.remove();
+      element = createOptimisticElement(
+        '<div hx-post="/api/test" hx-ext="optimistic"></div>',
+        { template: '{{#if premium}}⭐ Pro{{else}}Free{{/if}}', context: { premium: false } }
+      );
+      expect(await apply()).toBe('Free');
+    });
+
+    it('treats missing, empty and "false" values as false', async () => {
+      element = createOptimisticElement(
+        '<div hx-post="/api/test" hx-ext="optimistic" data-pinned="false" data-note=""></div>',
+        { template: '{{#if data:pinned}}P{{/if}}{{#if data:note}}N{{/if}}{{#if missing}}M{{/if}}-' }
+      );
+      expect(await apply()).toBe('-');
+      expect(consoleWarnSpy).not.toHaveBeenCalled();
+    });
+
+    it('tests checkbox groups by their checked values', async () => {
+      createForm(
+        `<input type="checkbox" name="users" value="ada" checked>
+         <input type="checkbox" name="notify">`,
+        {
+          template: '{{#if users}}tagged{{/if}}{{#if notify}} and notified{{/if}}',
+        }
+      );
+      expect(await apply()).toBe('tagged');
+    });
+
+    it('evaluates expressions and nests inside {{#each}}', async () => {
+      element = createOptimisticElement(
+        '<div hx-post="/api/test" hx-ext="optimistic"></div>',
+        {
+          template: '{{#each items}}{{#if index > 0}}, {{/if}}${item}{{/each}}',
+          context: { items: ['a', 'b', 'c'] }
+        }
+      );
+      expect(await apply()).toBe('a, b, c');
+    });
+  });
+
+  describe('malformed blocks', () => {
+    const cases = [
+      ['{{#each users}}x', '{{#each users}} is never closed'],
+      ['x{{/if}}', '{{/if}} has no opening block'],
+      ['{{#if a}}x{{/each}}', '{{/each}} cannot close {{#if a}}'],
+      ['{{else}}', '{{else}} outside of an {{#if}} or {{#each}} block'],
+      ['{{#if a}}x{{else}}y{{else}}z{{/if}}', 'Second {{else}} in {{#if a}}'],
+      ['{{#unless a}}x{{/unless}}', 'Unknown block {{#unless a}}; supported blocks are {{#each}} and {{#if}}'],
+      ['{{#each}}x{{/each}}', '{{#each}} needs an expression'],
+    ];
+
+    it.each(cases)('warns about %s', async (template, message) => {
+      element = createOptimisticElement('<div hx-post="/api/test" hx-ext="optimistic"></div>', { template });
+      expect(await apply()).toBe(template.replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+      expect(consoleWarnSpy).toHaveBeenCalledWith('[hx-optimistic] Malformed template block:', message);
+    });
+  });
+});
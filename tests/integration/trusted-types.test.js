@@ -0,0 +1,149 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createOptimisticElement, triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+class FakeTrustedHTML {
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+function createPolicy() {
+  return { createHTML: vi.fn((html) => new FakeTrustedHTML(html)) };
+}
+
+// Simulates require-trusted-types-for 'script': string assignments to innerHTML throw
+function enforceTrustedTypes() {
+  const descriptor = Object.getOwnPropertyDescriptor(Element.prototype, 'innerHTML');
+  Object.defineProperty(Element.prototype, 'innerHTML', {
+    configurable: true,
+    get: descriptor.get,
+    set(value) {
+      if (typeof value === 'string') throw new TypeError('This document requires TrustedHTML assignment');
+      descriptor.set.call(this, value);
+    }
+  });
+  return () => Object.defineProperty(Element.prototype, 'innerHTML', descriptor);
+}
+
+describe('Trusted Types', () => {
+  let element;
+  let restoreInnerHTML;
+
+  afterEach(() => {
+    restoreInnerHTML?.();
+    restoreInnerHTML = null;
+    delete window.trustedTypes;
+    global.htmx.optimistic.setTrustedTypesPolicy(null);
+    global.htmx.optimistic.setSanitizer(null);
+    element?.remove();
+  });
+
+  // Stands in for trustedTypes.createPolicy: createHTML runs the policy's rules
+  function supportTrustedTypes() {
+    window.trustedTypes = {
+      createPolicy: vi.fn((name, rules) => ({
+        createHTML: vi.fn((html, ...args) => new FakeTrustedHTML(rules.createHTML(html, ...args))),
+      })),
+    };
+  }
+
+  it('does not create a default policy without a sanitizer', async () => {
+    supportTrustedTypes();
+    element = createOptimisticElement(
+      '<div hx-post="/api/test" hx-ext="optimistic">Original</div>',
+      { template: '<b>Saving</b>' }
+    );
+
+    triggerHtmxEvent(element, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(window.trustedTypes.createPolicy).not.toHaveBeenCalled();
+    expect(element.innerHTML).toBe('<b>Saving</b>');
+  });
+
+  it('creates an "hx-optimistic" policy that runs the sanitizer', async () => {
+    supportTrustedTypes();
+    const sanitizer = vi.fn((html) => html.replace(/<script[\s\S]*?<\/script>/g, ''));
+    global.htmx.optimistic.setSanitizer(sanitizer);
+    element = createOptimisticElement(
+      '<div hx-post="/api/test" hx-ext="optimistic">Original</div>',
+      { template: '<b>Saving</b><script>alert(1)</script>' }
+    );
+    restoreInnerHTML = enforceTrustedTypes();
+
+    triggerHtmxEvent(element, 'htmx:beforeRequest');
+    await nextTick();
+    global.htmx.optimistic.setSanitizer(null);
+
+    expect(window.trustedTypes.createPolicy).toHaveBeenCalledWith('hx-optimistic', expect.objectContaining({ createHTML: expect.any(Function) }));
+    expect(sanitizer).toHaveBeenCalledTimes(1);
+    expect(sanitizer).toHaveBeenCalledWith('<b>Saving</b><script>alert(1)</script>', element);
+    expect(element.innerHTML).toBe('<b>Saving</b>');
+  });
+
+  it('renders and shows errors through a configured policy, and restores snapshots without parsing HTML', async () => {
+    const policy = createPolicy();
+    global.htmx.optimistic.setTrustedTypesPolicy(policy);
+    element = createOptimisticElement(
+      '<div hx-post="/api/test" hx-ext="optimistic"><p>Original</p></div>',
+      { template: '<p>Saving</p>', errorTemplate: '<p>Error ${status}</p>', delay: 10 }
+    );
+    restoreInnerHTML = enforceTrustedTypes();
+
+    triggerHtmxEvent(element, 'htmx:beforeRequest');
+    await nextTick();
+    expect(element.innerHTML).toBe('<p>Saving</p>');
+
+    triggerHtmxEvent(element, 'htmx:responseError', { xhr: { status: 500, statusText: 'Error' } });
+    expect(element.innerHTML).toBe('<p>Error 500</p>');
+
+    await new Promise(r => setTimeout(r, 30));
+    expect(element.innerHTML).toBe('<p>Original</p>');
+    expect(policy.createHTML).not.toHaveBeenCalledWith('<p>Original</p>');
+  });
+
+  it('parses inserted fragments through the policy', async () => {
+    const policy = createPolicy();
+    global.htmx.optimistic.setTrustedTypesPolicy(policy);
+    element = createOptimisticElement(
+      '<ul hx-post="/api/items" hx-ext="optimistic" hx-swap="beforeend"><li>One</li></ul>',
+      { template: '<li>Two</li>' }
+    );
+    restoreInnerHTML = enforceTrustedTypes();
+
+    triggerHtmxEvent(element, 'htmx:beforeRequest');
+    await nextTick();
+
+    expect(element.querySelectorAll('li')).toHaveLength(2);
+    expect(policy.createHTML).toHaveBeenCalledWith('<li>Two</li>');
+  });
+
+  it('passes TrustedHTML returned by the sanitizer through unchanged', async () => {
+    const policy = createPolicy();
+    global.htmx.optimistic.setTrustedTypesPolicy(policy);
+    global.htmx.optimistic.setSanitizer((html) => new FakeTrustedHTML(html.toUpperCase()));
+    element = createOptimisticElement(
+      '<div hx-post="/api/test" hx-ext="optimistic">Original</div>',
+      { template: '<b>saving</b>' }
+    );
+    restoreInnerHTML = enforceTrustedTypes();
+
+    triggerHtmxEvent(element, 'htmx:beforeRequest');
+    await nextTick();
+    global.htmx.optimistic.setSanitizer(null);
+
+    expect(element.innerHTML).toBe('<b>SAVING</b>');
+    expect(policy.createHTML).not.toHaveBeenCalledWith('<b>saving</b>');
+  });
+
+  it('warns about policies without createHTML', () => {
+    const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    global.htmx.optimistic.setTrustedTypesPolicy({});
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('setTrustedTypesPolicy'));
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createOptimisticElement, triggerHtmxEvent, nextTick } from '../helpers/test-utils.js';
+
+describe('Undo window', () => {
+  let element;
+
+  afterEach(() => {
+    if (element && element.parentNode) element.remove();
+  });
+
+  function confirm(el) {
+    const issueRequest = vi.fn();
+    const evt = triggerHtmxEvent(el, 'htmx:confirm', { issueRequest, verb: 'delete', path: '/api/item' });
+    return { evt, issueRequest };
+  }
+
+  it('applies the optimistic update and holds the request', async () => {
+    element = createOptimisticElement(
+      '<div hx-delete="/api/item" hx-ext="optimistic">Item</div>',
+      { values: { textContent: 'Deleted' }, undo: { delay: 20, template: '<button data-optimistic-undo>Undo</button>' } }
+    );
+
+    const { evt, issueRequest } = confirm(element);
+    expect(evt.defaultPrevented).toBe(true);
+    expect(element.textContent).toBe('DeletedUndo');
+    expect(element.querySelector('.hx-optimistic-undo')).toBeTruthy();
+    expect(issueRequest).not.toHaveBeenCalled();
+
+    await new Promise(r => setTimeout(r, 40));
+    expect(issueRequest).toHaveBeenCalledWith(true);
+    expect(element.querySelector('.hx-optimistic-undo')).toBeNull();
+    expect(element.textContent).toBe('Deleted');
+  });
+
+  it('does not re-apply the update when the held request is sent', async () => {
+    element = createOptimisticElement(
+      '<div hx-delete="/api/item" hx-ext="optimistic">Item</div>',
+      { values: { textContent: 'Deleted' }, undo: 10 }
+    );
+
+    confirm(element);
+    await new Promise(r => setTimeout(r, 20));
+    triggerHtmxEvent(element, 'htmx:beforeRequest');
+
+    const applied = global.htmx.trigger.mock.calls.filter(([, name]) => name === 'optimistic:applied');
+    expect(applied).toHaveLength(1);
+  });
+
+  it('undo cancels the request and reverts', async () => {
+    element = createOptimisticElement(
+      '<div hx-delete="/api/item" hx-ext="optimistic">Item</div>',
+      { swap: 'delete', undo: { delay: 20, template: '<button data-optimistic-undo>Undo</button>' } }
+    );
+
+    const { issueRequest } = confirm(element);
+    expect(element.style.display).toBe('none');
+    const undo = document.querySelector('.hx-optimistic-undo [data-optimistic-undo]');
+    expect(undo).toBeTruthy();
+
+    undo.click();
+    expect(element.style.display).toBe('');
+    expect(element.textContent).toBe('Item');
+    expect(document.querySelector('.hx-optimistic-undo')).toBeNull();
+    expect(global.htmx.trigger).toHaveBeenCalledWith(element, 'optimistic:undone', expect.objectContaining({ config: expect.any(Object) }));
+
+    await new Promise(r => setTimeout(r, 40));
+    expect(issueRequest).not.toHaveBeenCalled();
+  });
+
+  it('binds undo controls rendered by the optimistic template', async () => {
+    element = createOptimisticElement(
+      '<div hx-post="/api/archive" hx-ext="optimistic">Inbox</div>',
+      { template: 'Archived <a href="#" data-optimistic-undo>Undo</a>', undo: 20 }
+    );
+
+    const { issueRequest } = confirm(element);
+    element.querySelector('[data-optimistic-undo]').click();
+    await nextTick();
+
+    expect(element.textContent).toBe('Inbox');
+    await new Promise(r => setTimeout(r, 40));
+    expect(issueRequest).not.toHaveBeenCalled();
+  });
+
+  it('does not hold a retried request again', async () => {
+    global.htmx.ajax = vi.fn();
+    element = createOptimisticElement(
+      '<div hx-delete="/api/item" hx-ext="optimistic">Item</div>',
+      { values: { textContent: 'Deleted' }, undo: { delay: 10, template: 'Undo' }, retry: { attempts: 1, delay: 5 } }
+    );
+
+    confirm(element);
+    await new Promise(r => setTimeout(r, 20));
+    triggerHtmxEvent(element, 'htmx:beforeRequest', { requestConfig: { verb: 'delete', path: '/api/item', parameters: {} } });
+    triggerHtmxEvent(element, 'htmx:sendError', { xhr: { status: 0 } });
+    await new Promise(r => setTimeout(r, 20));
+    expect(global.htmx.ajax).toHaveBeenCalledTimes(1);
+
+    // htmx.ajax fires htmx:confirm for the retry
+    const { evt } = confirm(element);
+    expect(evt.defaultPrevented).toBe(false);
+    expect(element.querySelector('.hx-optimistic-undo')).toBeNull();
+    const applied = global.htmx.trigger.mock.calls.filter(([, name]) => name === 'optimistic:applied');
+    expect(applied).toHaveLength(1);
+    delete global.htmx.ajax;
+  });
+
+  describe('with hx-confirm', () => {
+    function confirmWithQuestion(el) {
+      const issueRequest = vi.fn();
+      const evt = triggerHtmxEvent(el, 'htmx:confirm', { issueRequest, question: 'Delete this item?' });
+      return { evt, issueRequest };
+    }
+
+    let ask;
+
+    afterEach(() => {
+      ask.mockRestore();
+    });
+
+    it('asks the question before holding the request', async () => {
+      ask = vi.spyOn(window, 'confirm').mockReturnValue(true);
+      element = createOptimisticElement(
+        '<div hx-delete="/api/item" hx-confirm="Delete this item?" hx-ext="optimistic">Item</div>',
+        { values: { textContent: 'Deleted' }, undo: 10 }
+      );
+
+      const { issueRequest } = confirmWithQuestion(element);
+      expect(ask).toHaveBeenCalledWith('Delete this item?');
+      expect(element.textContent).toBe('Deleted');
+      await new Promise(r => setTimeout(r, 20));
+      expect(issueRequest).toHaveBeenCalledWith(true);
+    });
+
+    it('neither updates nor sends when the question is declined', async () => {
+      ask = vi.spyOn(window, 'confirm').mockReturnValue(false);
+      element = createOptimisticElement(
+        '<div hx-delete="/api/item" hx-confirm="Delete this item?" hx-ext="optimistic">Item</div>',
+        { values: { textContent: 'Deleted' }, undo: 10 }
+      );
+
+      const { evt, issueRequest } = confirmWithQuestion(element);
+      expect(evt.defaultPrevented).toBe(true);
+      expect(element.textContent).toBe('Item');
+      expect(global.htmx.optimistic.isPending(element)).toBe(false);
+      await new Promise(r => setTimeout(r, 20));
+      expect(issueRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  it('leaves confirmation alone without an undo config', () => {
+    element = createOptimisticElement(
+      '<div hx-post="/api/item" hx-ext="optimistic">Item</div>',
+      { values: { textContent: 'Saving' } }
+    );
+
+    const { evt } = confirm(element);
+    expect(evt.defaultPrevented).toBe(false);
+    expect(element.textContent).toBe('Item');
+  });
+});
@@ -307,7 +307,7 @@ describe('Interpolation', () => {
       expect(consoleWarnSpy).not.toHaveBeenCalled();
     });
 
-    it('should warn about Math expressions since arithmetic was removed', async () => {
+    it('should warn about expressions that reference unknown names', async () => {
       element = createOptimisticElement(
         '<button data-count="5" hx-post="/api/test" hx-ext="optimistic">Click</button>',
         {
@@ -325,6 +325,127 @@ describe('Interpolation', () => {
     });
   });
 
+  describe('Expressions', () => {
+    async function render(template, attrs = '', context) {
+      element = createOptimisticElement(
+        `<button ${attrs} hx-post="/api/test" hx-ext="optimistic">Click</button>`,
+        context ? { template, context } : { values: { textContent: template } }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+      return element.textContent;
+    }
+
+    it('evaluates arithmetic over data attributes', async () => {
+      expect(await render('${data:count + 1} likes', 'data-count="41"')).toBe('42 likes');
+      expect(await render('${data:count * 2 - (1 + 1) % 3}', 'data-count="5"')).toBe('8');
+      expect(await render('${data:price / 4}', 'data-price="0.3"')).toBe('0.075');
+    });
+
+    it('supports comparisons and ternaries', async () => {
+      expect(await render('${data:count + 1 == 1 ? "1 like" : data:count + 1 + " likes"}', 'data-count="0"')).toBe('1 like');
+      expect(await render('${data:count + 1 == 1 ? "1 like" : data:count + 1 + " likes"}', 'data-count="4"')).toBe('5 likes');
+      expect(await render('${data:liked === "true" && data:count > 0 ? "yes" : "no"}', 'data-liked="true" data-count="2"')).toBe('yes');
+      expect(await render('${!(data:count >= 10)}', 'data-count="9"')).toBe('true');
+    });
+
+    it('supports the allowed Math functions', async () => {
+      expect(await render('${Math.max(0, data:count - 1)}', 'data-count="0"')).toBe('0');
+      expect(await render('${Math.round(data:rating * 2) / 2}', 'data-rating="3.7"')).toBe('3.5');
+      expect(await render('${Math.min(Math.abs(-3), 2)}')).toBe('2');
+    });
+
+    it('concatenates strings and reads context values', async () => {
+      expect(await render('${greeting + ", " + attr:title}', 'title="Ada"', { greeting: 'Hi' })).toBe('Hi, Ada');
+    });
+
+    it('reads form fields by name', async () => {
+      const form = createTestForm({
+        optimisticConfig: { values: { textContent: '${quantity * 2} items' } }
+      });
+      const input = document.createElement('input');
+      input.name = 'quantity';
+      input.value = '3';
+      form.appendChild(input);
+
+      triggerHtmxEvent(form, 'htmx:beforeRequest');
+      await nextTick();
+
+      expect(form.textContent).toContain('6 items');
+      form.remove();
+    });
+
+    it('does not evaluate globals or arbitrary functions', async () => {
+      window.hxOptimisticProbe = vi.fn(() => 'called');
+      expect(await render('${window.hxOptimisticProbe()}')).toBe('${window.hxOptimisticProbe()}');
+      expect(await render('${constructor.constructor("return 1")()}')).toBe('${constructor.constructor("return 1")()}');
+      expect(await render('${document.title + 1}')).toBe('${document.title + 1}');
+      expect(window.hxOptimisticProbe).not.toHaveBeenCalled();
+      expect(consoleWarnSpy).toHaveBeenCalled();
+      delete window.hxOptimisticProbe;
+    });
+
+    it('does not resolve inherited Object.prototype members', async () => {
+      expect(await render('${constructor}', '', { greeting: 'Hi' })).toBe('${constructor}');
+      expect(await render('${toString + 1}', '', { greeting: 'Hi' })).toBe('${toString + 1}');
+      expect(await render('{{#each valueOf}}x{{/each}}-', '', { greeting: 'Hi' })).toBe('-');
+    });
+
+    it('leaves hyphenated data references intact', async () => {
+      expect(await render('${data:user-id}', 'data-user-id="7"')).toBe('7');
+      expect(await render('${data:user-id - 1}', 'data-user-id="7"')).toBe('6');
+    });
+  });
+
+  describe('Filters', () => {
+    async function render(template, attrs = '') {
+      element = createOptimisticElement(
+        `<button ${attrs} hx-post="/api/test" hx-ext="optimistic">Click</button>`,
+        { values: { textContent: template } }
+      );
+      triggerHtmxEvent(element, 'htmx:beforeRequest');
+      await nextTick();
+      return element.textContent;
+    }
+
+    it('pipes values through built-in filters', async () => {
+      expect(await render('${data:title | truncate:10}', 'data-title="A very long comment"')).toBe('A very lo…');
+      expect(await render('${data:name | upper}', 'data-name="ada"')).toBe('ADA');
+      expect(await render('${data:name | lower | capitalize}', 'data-name="ADA"')).toBe('Ada');
+      expect(await render('${data:count} ${data:count | pluralize:"like"}', 'data-count="1"')).toBe('1 like');
+      expect(await render('${data:count + 1} ${data:count + 1 | pluralize:"reply":"replies"}', 'data-count="1"')).toBe('2 replies');
+    });
+
+    it('formats numbers and dates with Intl', async () => {
+      expect(await render('${data:total | number:2}', 'data-total="1234.5"')).toBe(new Intl.NumberFormat(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(1234.5));
+      expect(await render('${data:total | currency:"EUR"}', 'data-total="3"')).toBe(new Intl.NumberFormat(undefined, { style: 'currency', currency: 'EUR' }).format(3));
+      expect(await render('${data:size | bytes} ${data:small | bytes}', 'data-size="1572864" data-small="12"')).toBe(`${new Intl.NumberFormat().format(1.5)} MB 12 B`);
+      expect(await render('${data:at | date:"long"}', 'data-at="2024-03-01T12:00:00Z"')).toBe(new Intl.DateTimeFormat(undefined, { dateStyle: 'long' }).format(new Date('2024-03-01T12:00:00Z')));
+    });
+
+    it('defaults empty and missing values', async () => {
+      expect(await render('${data:missing | default:"(empty)"}')).toBe('(empty)');
+      expect(await render('${data:missing | upper | default:"none"}')).toBe('none');
+      expect(consoleWarnSpy).not.toHaveBeenCalled();
+    });
+
+    it('keeps || as logical or', async () => {
+      expect(await render('${data:count == 0 || data:count == 1 ? "few" : "many" | upper}', 'data-count="1"')).toBe('FEW');
+      expect(await render('${data:a == 1 || data:a == 2 ? "low" : "high"}', 'data-a="2"')).toBe('low');
+    });
+
+    it('supports filters registered through htmx.optimistic.registerFilter', async () => {
+      global.htmx.optimistic.registerFilter('stars', (value, char = '★') => char.repeat(Number(value)));
+      expect(await render('${data:rating | stars}', 'data-rating="3"')).toBe('★★★');
+      expect(await render('${data:rating | stars:"*"}', 'data-rating="2"')).toBe('**');
+    });
+
+    it('warns about unknown filters and leaves the value unchanged', async () => {
+      expect(await render('${data:name | shout}', 'data-name="ada"')).toBe('ada');
+      expect(consoleWarnSpy).toHaveBeenCalledWith('[hx-optimistic] Unknown filter:', 'shout');
+    });
+  });
+
   describe('WeakMap usage verification', () => {
     it('should not store data in element dataset', async () => {
       element = createOptimisticElement(